@@ -1,12 +1,19 @@
-const { PermissionFlagsBits } = require('discord.js');
+const { PermissionFlagsBits, AttachmentBuilder, ChannelType } = require('discord.js');
+const { PROVIDERS, isKnownProvider, getMissingConfig } = require('../services/transcriptionProviders');
+const { normalizeLanguage, languageName, isKnownLanguage } = require('../utils/language');
+const RedactionService = require('../services/redactionService');
+const UsageTracker = require('../services/usageTracker');
+const AutoJoinPolicy = require('../services/autoJoinPolicy');
 
 class CommandHandler {
-  constructor(voiceHandler, sessionManager, reportGenerator, analyticsEngine, dbQueries) {
+  constructor(voiceHandler, sessionManager, reportGenerator, analyticsEngine, dbQueries, captionService, autoJoinPolicy) {
     this.voiceHandler = voiceHandler;
     this.sessionManager = sessionManager;
     this.reportGenerator = reportGenerator;
     this.analyticsEngine = analyticsEngine;
     this.db = dbQueries;
+    this.captionService = captionService;
+    this.autoJoinPolicy = autoJoinPolicy;
     this.prefix = process.env.COMMAND_PREFIX || '!';
   }
 
@@ -34,6 +41,49 @@ class CommandHandler {
         case 'daily':
           await this.dailyReportCommand(message, args);
           break;
+        case 'captions':
+          await this.captionsCommand(message, args);
+          break;
+        case 'language':
+          await this.languageCommand(message, args);
+          break;
+        case 'provider':
+          await this.providerCommand(message, args);
+          break;
+        case 'translate':
+          await this.translateCommand(message, args);
+          break;
+        case 'transcript':
+          await this.transcriptCommand(message, args);
+          break;
+        case 'redact':
+          await this.redactCommand(message, args);
+          break;
+        case 'vocab':
+          await this.vocabCommand(message, args);
+          break;
+        case 'usage':
+          await this.usageCommand(message, args);
+          break;
+        case 'retranscribe':
+          await this.retranscribeCommand(message, args);
+          break;
+        case 'optout':
+        case 'optin':
+          await this.consentChangeCommand(message, command);
+          break;
+        case 'consent':
+          await this.consentCommand(message, args);
+          break;
+        case 'autojoin':
+          await this.autoJoinCommand(message, args);
+          break;
+        case 'jobs':
+          await this.jobsCommand(message);
+          break;
+        case 'retryjobs':
+          await this.retryJobsCommand(message, args);
+          break;
         case 'help':
           await this.helpCommand(message);
           break;
@@ -71,16 +121,18 @@ class CommandHandler {
     const voiceChannel = message.member.voice.channel;
 
     if (!voiceChannel) {
-      // Try to find any active connection in this guild
-      const connections = this.voiceHandler.getAllConnections()
-        .filter(c => c.guild.id === message.guild.id);
+      // Try to find any active connection in this guild, or a session waiting to reconnect
+      const channelIds = [
+        ...this.voiceHandler.getAllConnections().filter(c => c.guild.id === message.guild.id).map(c => c.channel.id),
+        ...this.voiceHandler.getSuspendedChannels().filter(channel => channel.guild.id === message.guild.id).map(channel => channel.id)
+      ];
 
-      if (connections.length === 0) {
+      if (channelIds.length === 0) {
         return message.reply('❌ Not currently recording in any channel!');
       }
 
       // Leave the first connection found
-      const sessionId = await this.voiceHandler.leaveChannel(connections[0].channel.id);
+      const sessionId = await this.voiceHandler.leaveChannel(channelIds[0]);
       await message.reply('✅ Left the voice channel and stopped recording!');
 
       // Generate and send report
@@ -92,7 +144,7 @@ class CommandHandler {
       return;
     }
 
-    if (!this.voiceHandler.hasConnection(voiceChannel.id)) {
+    if (!this.voiceHandler.hasConnection(voiceChannel.id) && !this.voiceHandler.isSuspended(voiceChannel.id)) {
       return message.reply('❌ Not currently recording in your voice channel!');
     }
 
@@ -118,10 +170,15 @@ class CommandHandler {
       const session = this.sessionManager.getActiveSession(c.channel.id);
       const duration = Math.floor((Date.now() / 1000) - session.start_time);
       const participants = session.participants.size;
+      const capture = this.sessionManager.getCaptureStats(session.session_id);
+      const transcribed = this.db.getTranscriptions(session.session_id).length;
+      const { queued, running } = this.sessionManager.transcriptionQueue.countForSession(session.session_id);
 
       return `🎙️ **${c.channel.name}**\n` +
              `⏱️ Duration: ${this.formatDuration(duration)}\n` +
-             `👥 Participants: ${participants}`;
+             `👥 Participants: ${participants}\n` +
+             `🎧 Captured: ${this.formatDuration(capture.audioSeconds)} of speech (${(capture.bytes / 1024 / 1024).toFixed(1)} MB)\n` +
+             `📝 Transcribed: ${transcribed} utterances (${queued + running} in progress)`;
     });
 
     await message.reply({
@@ -163,6 +220,713 @@ class CommandHandler {
     await message.channel.send({ embeds: [reportEmbed] });
   }
 
+  async captionsCommand(message, args) {
+    if (!message.member.permissions.has(PermissionFlagsBits.ManageChannels)) {
+      return message.reply('❌ You need "Manage Channels" permission to use this command.');
+    }
+
+    const voiceChannel = message.member.voice.channel;
+    if (!voiceChannel) {
+      return message.reply('❌ Join the voice channel you want captions for first!');
+    }
+
+    const mode = (args[0] || '').toLowerCase();
+    if (mode !== 'on' && mode !== 'off') {
+      return message.reply(`❌ Usage: \`${this.prefix}captions on|off [thread]\``);
+    }
+
+    // Captions go to the channel the command was typed in, or a new thread under it
+    const useThread = (args[1] || '').toLowerCase() === 'thread' && !message.channel.isThread();
+    this.db.setCaptionSettings({
+      guild_id: message.guild.id,
+      voice_channel_id: voiceChannel.id,
+      text_channel_id: message.channel.id,
+      use_thread: useThread,
+      enabled: mode === 'on'
+    });
+
+    const connection = this.voiceHandler.getConnection(voiceChannel.id);
+
+    if (mode === 'off') {
+      if (connection) {
+        await this.captionService.endSession(connection.sessionId);
+      }
+      return message.reply(`✅ Live captions for **${voiceChannel.name}** turned off.`);
+    }
+
+    await message.reply(`✅ Live captions for **${voiceChannel.name}** will be posted ${useThread ? 'in a new thread here' : 'in this channel'}.`);
+
+    // Start right away if the channel is already being recorded
+    if (connection) {
+      await this.captionService.startSession({
+        sessionId: connection.sessionId,
+        channel: voiceChannel,
+        guild: message.guild
+      });
+    }
+  }
+
+  async languageCommand(message, args) {
+    const current = this.db.getUserLanguage(message.author.id);
+    const value = (args[0] || '').toLowerCase();
+
+    if (!value) {
+      return message.reply(current
+        ? `🌐 Your preferred language is **${languageName(current)}** (\`${current}\`). Use \`${this.prefix}language auto\` to clear it.`
+        : `🌐 Your language is detected automatically. Use \`${this.prefix}language <code>\` (e.g. \`es\`) to set a preference.`);
+    }
+
+    if (value === 'auto') {
+      this.db.setUserLanguage(message.author.id, null);
+      return message.reply('✅ Your language will be detected automatically.');
+    }
+
+    const code = normalizeLanguage(value);
+    if (!isKnownLanguage(code)) {
+      return message.reply(`❌ Use a language code like \`en\`, \`es\` or \`pt\`, or \`auto\`.`);
+    }
+
+    this.db.setUserLanguage(message.author.id, code);
+    await message.reply(`✅ Your speech will be transcribed expecting **${languageName(code)}**, while still detecting other languages you switch to.`);
+  }
+
+  async providerCommand(message, args) {
+    const current = this.db.getGuildSetting(message.guild.id, 'transcription_provider');
+    const defaultProvider = this.sessionManager.transcriptionService.defaultProvider;
+    const name = (args[0] || '').toLowerCase();
+
+    if (!name) {
+      return message.reply(
+        `🎤 Transcription provider: **${current || defaultProvider}**${current ? '' : ' (default)'}\n` +
+        `Available: ${Object.keys(PROVIDERS).join(', ')}`
+      );
+    }
+
+    if (!this.isAdmin(message.member)) {
+      return message.reply('❌ Only admins can change the transcription provider.');
+    }
+
+    if (name === 'default') {
+      this.db.deleteGuildSetting(message.guild.id, 'transcription_provider');
+      return message.reply(`✅ This server now uses the default provider (**${defaultProvider}**).`);
+    }
+
+    if (!isKnownProvider(name)) {
+      return message.reply(`❌ Unknown provider. Available: ${Object.keys(PROVIDERS).join(', ')}, or \`default\``);
+    }
+
+    const missing = getMissingConfig(name);
+    if (missing.length > 0) {
+      return message.reply(`❌ **${name}** isn't configured on this bot (missing ${missing.join(', ')}).`);
+    }
+
+    this.db.setGuildSetting(message.guild.id, 'transcription_provider', name);
+    await message.reply(`✅ New utterances in this server will be transcribed with **${name}**.`);
+  }
+
+  async translateCommand(message, args) {
+    const current = this.db.getGuildSetting(message.guild.id, 'translation_language');
+    const value = (args[0] || '').toLowerCase();
+
+    if (!value) {
+      return message.reply(current
+        ? `🌐 Transcripts in this server are translated into **${languageName(current)}** (\`${current}\`).`
+        : `🌐 Transcripts in this server aren't translated. Use \`${this.prefix}translate <code>\` (e.g. \`en\`) to turn it on.`);
+    }
+
+    if (!this.isAdmin(message.member)) {
+      return message.reply('❌ Only admins can change the translation language.');
+    }
+
+    if (value === 'off') {
+      this.db.deleteGuildSetting(message.guild.id, 'translation_language');
+      return message.reply('✅ Transcripts in this server will no longer be translated.');
+    }
+
+    const code = normalizeLanguage(value);
+    if (!isKnownLanguage(code)) {
+      return message.reply('❌ Use a language code like `en`, `es` or `pt`, or `off`.');
+    }
+
+    this.db.setGuildSetting(message.guild.id, 'translation_language', code);
+    await message.reply(`✅ New utterances in this server will be translated into **${languageName(code)}**; reports show both side by side.`);
+  }
+
+  async transcriptCommand(message, args) {
+    const [sessionId, ...flags] = args;
+    const modes = ['original', 'translation', 'bilingual'];
+    const unredacted = flags.some(flag => flag.toLowerCase() === 'unredacted');
+    const mode = (flags.find(flag => flag.toLowerCase() !== 'unredacted') || 'original').toLowerCase();
+
+    if (!sessionId || !modes.includes(mode)) {
+      return message.reply(`❌ Usage: \`${this.prefix}transcript <session_id> [${modes.join('|')}] [unredacted]\``);
+    }
+
+    if (unredacted && !this.isAdmin(message.member)) {
+      return message.reply('❌ Only admins can see unredacted transcripts.');
+    }
+
+    const session = this.db.findSessionById(sessionId);
+    if (!session || session.guild_id !== message.guild.id) {
+      return message.reply('❌ Session not found!');
+    }
+
+    const transcriptions = this.db.getTranscriptions(sessionId);
+    const transcript = this.reportGenerator.generateTranscriptText(transcriptions, session, {
+      mode,
+      unredacted,
+      events: this.db.getSessionEvents(sessionId)
+    });
+    const file = new AttachmentBuilder(Buffer.from(transcript, 'utf8'), {
+      name: `transcript-${sessionId}${unredacted ? '-unredacted' : ''}.md`
+    });
+    const content = `📝 Transcript of **${session.channel_name}** (${transcriptions.length} utterances, ${mode}${unredacted ? ', unredacted' : ''})`;
+
+    // Unredacted text goes to the admin privately, never to the channel
+    if (unredacted) {
+      await message.author.send({ content, files: [file] });
+      return message.reply('📬 Sent you the unredacted transcript in a direct message.');
+    }
+
+    await message.reply({ content, files: [file] });
+  }
+
+  async redactCommand(message, args) {
+    const redaction = this.sessionManager.redactionService;
+    const guildId = message.guild.id;
+    const action = (args[0] || '').toLowerCase();
+    const value = args.slice(1).join(' ').trim();
+    const categories = RedactionService.categories;
+    const modes = RedactionService.modes;
+
+    if (!action) {
+      const rules = redaction.getRules(guildId);
+      return message.reply(
+        `🛡️ Redaction: ${rules.categories.length > 0 ? `**${rules.categories.join(', ')}**` : '**off**'}` +
+        ` · mode **${rules.mode}** · unredacted text ${rules.keepOriginal ? '**kept** for admins' : '**not kept**'}` +
+        (rules.words.length > 0 ? ` · ${rules.words.length} server word(s)` : '') +
+        `\nCategories: ${categories.join(', ')}`
+      );
+    }
+
+    if (!this.isAdmin(message.member)) {
+      return message.reply('❌ Only admins can change redaction rules.');
+    }
+
+    switch (action) {
+      case 'categories': {
+        const names = value.toLowerCase() === 'off' ? [] : redaction.parseCategories(value.replace(/\s+/g, ','));
+        if (value.toLowerCase() !== 'off' && names.length === 0) {
+          return message.reply(`❌ Usage: \`${this.prefix}redact categories <${categories.join(',')}>|all|off\``);
+        }
+        this.db.setGuildSetting(guildId, 'redaction_categories', names.join(','));
+        this.purgeTranscriptionCache(guildId);
+        return message.reply(names.length > 0
+          ? `✅ New transcriptions will be redacted for: **${names.join(', ')}**.`
+          : '✅ Redaction categories turned off for this server.');
+      }
+      case 'mode':
+        if (!modes.includes(value.toLowerCase())) {
+          return message.reply(`❌ Usage: \`${this.prefix}redact mode ${modes.join('|')}\``);
+        }
+        this.db.setGuildSetting(guildId, 'redaction_mode', value.toLowerCase());
+        this.purgeTranscriptionCache(guildId);
+        return message.reply(`✅ Redacted text will be shown as **${value.toLowerCase()}**.`);
+      case 'keep':
+        if (!['on', 'off'].includes(value.toLowerCase())) {
+          return message.reply(`❌ Usage: \`${this.prefix}redact keep on|off\``);
+        }
+        this.db.setGuildSetting(guildId, 'redaction_keep_original', String(value.toLowerCase() === 'on'));
+        this.purgeTranscriptionCache(guildId);
+        return message.reply(value.toLowerCase() === 'on'
+          ? `✅ Unredacted text will be kept for admins (\`${this.prefix}transcript <session_id> unredacted\`).`
+          : '✅ Unredacted text will no longer be kept.');
+      case 'word': {
+        const [operation, ...rest] = value.split(/\s+/);
+        const word = rest.join(' ').toLowerCase();
+        const words = redaction.getRules(guildId).words;
+        if (!['add', 'remove'].includes((operation || '').toLowerCase()) || !word) {
+          return message.reply(`❌ Usage: \`${this.prefix}redact word add|remove <word>\``);
+        }
+        const updated = operation.toLowerCase() === 'add'
+          ? [...new Set([...words, word])]
+          : words.filter(existing => existing !== word);
+        this.db.setGuildSetting(guildId, 'redaction_words', JSON.stringify(updated));
+        this.purgeTranscriptionCache(guildId);
+        return message.reply(`✅ ${updated.length} server word(s) will be redacted.`);
+      }
+      case 'reset':
+        ['redaction_categories', 'redaction_mode', 'redaction_keep_original', 'redaction_words']
+          .forEach(setting => this.db.deleteGuildSetting(guildId, setting));
+        this.purgeTranscriptionCache(guildId);
+        return message.reply('✅ Redaction rules reset to the bot defaults.');
+      default:
+        return message.reply(`❌ Usage: \`${this.prefix}redact [categories|mode|keep|word|reset] ...\``);
+    }
+  }
+
+  // Cached results hold unredacted text, so they go whenever the guild's redaction rules change
+  purgeTranscriptionCache(guildId) {
+    const cache = this.sessionManager.transcriptionService.cache;
+    if (cache) {
+      cache.purgeGuild(guildId);
+    }
+  }
+
+  async vocabCommand(message, args) {
+    const action = (args[0] || 'list').toLowerCase();
+    const text = args.slice(1).join(' ').trim();
+    const usage = `❌ Usage: \`${this.prefix}vocab [list]\`, \`${this.prefix}vocab add <term>\`, ` +
+                  `\`${this.prefix}vocab fix <misheard> => <correct>\` or \`${this.prefix}vocab remove <term>\``;
+
+    if (action === 'list') {
+      const entries = this.db.getVocabulary(message.guild.id);
+      const glossary = entries.filter(entry => !entry.replacement).map(entry => entry.term);
+      const corrections = entries.filter(entry => entry.replacement).map(entry => `${entry.term} → ${entry.replacement}`);
+
+      return message.reply({
+        embeds: [{
+          color: 0x0099FF,
+          title: '📖 Server Vocabulary',
+          description: entries.length > 0 ? 'Used when transcribing new utterances in this server.' : `No vocabulary yet. Use \`${this.prefix}vocab add <term>\` to add names and jargon.`,
+          fields: [
+            ...(glossary.length > 0 ? [{ name: 'Glossary', value: glossary.join(', ').slice(0, 1024) }] : []),
+            ...(corrections.length > 0 ? [{ name: 'Corrections', value: corrections.join('\n').slice(0, 1024) }] : [])
+          ]
+        }]
+      });
+    }
+
+    if (!['add', 'fix', 'remove'].includes(action)) {
+      return message.reply(usage);
+    }
+
+    if (!this.isAdmin(message.member)) {
+      return message.reply('❌ Only admins can change the vocabulary.');
+    }
+
+    if (action === 'remove') {
+      if (!text) return message.reply(usage);
+      const removed = this.db.deleteVocabularyEntry(message.guild.id, text);
+      return message.reply(removed > 0 ? `✅ Removed **${text}** from the vocabulary.` : `❌ **${text}** isn't in the vocabulary.`);
+    }
+
+    let term = text;
+    let replacement = null;
+    if (action === 'fix') {
+      [term, replacement] = text.split(/\s*(?:=>|->|→)\s*/);
+      if (!term || !replacement) return message.reply(usage);
+    }
+
+    if (!term || term.length > 100 || (replacement && replacement.length > 100)) {
+      return message.reply(term ? '❌ Vocabulary entries are limited to 100 characters.' : usage);
+    }
+
+    this.db.setVocabularyEntry({
+      guild_id: message.guild.id,
+      term,
+      replacement,
+      added_by: message.author.id
+    });
+
+    await message.reply(replacement
+      ? `✅ "${term}" will be corrected to **${replacement}** in new transcriptions.`
+      : `✅ Added **${term}** to the glossary for new transcriptions.`);
+  }
+
+  async retranscribeCommand(message, args) {
+    if (!this.isAdmin(message.member)) {
+      return message.reply('❌ Only admins can use this command.');
+    }
+
+    const [sessionId, ...choices] = args;
+    if (!sessionId) {
+      return message.reply(`❌ Usage: \`${this.prefix}retranscribe <session_id> [provider] [model] [nocache]\``);
+    }
+
+    const session = this.db.findSessionById(sessionId);
+    if (!session || session.guild_id !== message.guild.id) {
+      return message.reply('❌ Session not found!');
+    }
+
+    // Each choice is a provider name, nocache, or otherwise a model name
+    let provider = null;
+    let model = null;
+    let bypassCache = false;
+    choices.forEach(choice => {
+      if (choice.toLowerCase() === 'nocache') {
+        bypassCache = true;
+      } else if (isKnownProvider(choice.toLowerCase())) {
+        provider = choice.toLowerCase();
+      } else {
+        model = choice;
+      }
+    });
+
+    if (provider) {
+      const missing = getMissingConfig(provider);
+      if (missing.length > 0) {
+        return message.reply(`❌ **${provider}** isn't configured on this bot (missing ${missing.join(', ')}).`);
+      }
+    }
+
+    if (!this.sessionManager.canRecord(message.guild.id)) {
+      return message.reply('❌ This server has used its monthly transcription quota.');
+    }
+
+    const using = [provider, model].filter(Boolean).join(' · ') || 'current settings';
+    const progress = await message.reply(`🔁 Re-transcribing **${session.channel_name}** with ${using}…`);
+    let lastUpdate = Date.now();
+
+    let result;
+    try {
+      result = await this.sessionManager.retranscribeSession(sessionId, { provider, model, bypassCache }, async (done, total, failed) => {
+        // Edits are rate limited; update every few seconds
+        if (done < total && Date.now() - lastUpdate < 3000) return;
+        lastUpdate = Date.now();
+        await progress.edit(`🔁 Re-transcribing **${session.channel_name}** with ${using}: ${done}/${total} utterances${failed ? ` (${failed} failed)` : ''}`)
+          .catch(error => console.error('Error updating re-transcription progress:', error));
+      });
+    } catch (error) {
+      return progress.edit(`❌ Can't re-transcribe this session: ${error.message}`);
+    }
+
+    await progress.edit(
+      `✅ Re-transcribed ${result.total - result.failed}/${result.total} utterances of **${session.channel_name}**` +
+      (result.failed ? `; ${result.failed} failed and kept their previous transcript` : '') +
+      '. Previous versions are kept as superseded.'
+    );
+
+    // Analytics are recomputed from the new transcript
+    const report = await this.sessionManager.generateSessionReport(sessionId, message.channel);
+    if (report) {
+      await this.sendReport(message.channel, report);
+    }
+  }
+
+  // The model the guild's provider falls back to over quota
+  describeFallbackModel(guildId) {
+    const provider = this.db.getGuildSetting(guildId, 'transcription_provider') || this.sessionManager.transcriptionService.defaultProvider;
+    const model = this.sessionManager.usageTracker.getFallbackModel(provider);
+    return model ? `**${model}**` : `the usual ${provider} model (it has no fallback model)`;
+  }
+
+  async usageCommand(message, args) {
+    if (!this.isAdmin(message.member)) {
+      return message.reply('❌ Only admins can use this command.');
+    }
+
+    const usageTracker = this.sessionManager.usageTracker;
+    const guildId = message.guild.id;
+    const action = (args[0] || '').toLowerCase();
+    const value = (args[1] || '').toLowerCase();
+
+    if (action === 'quota') {
+      if (value === 'default') {
+        this.db.deleteGuildSetting(guildId, 'usage_quota_minutes');
+        return message.reply('✅ This server now uses the bot\'s default monthly quota.');
+      }
+      const minutes = value === 'off' ? 0 : parseFloat(value);
+      if (isNaN(minutes) || minutes < 0) {
+        return message.reply(`❌ Usage: \`${this.prefix}usage quota <minutes>|off|default\``);
+      }
+      this.db.setGuildSetting(guildId, 'usage_quota_minutes', String(minutes));
+      return message.reply(minutes > 0
+        ? `✅ Monthly transcription quota set to **${minutes} minutes** of audio.`
+        : '✅ Monthly transcription quota turned off for this server.');
+    }
+
+    if (action === 'action') {
+      if (!UsageTracker.actions.includes(value)) {
+        return message.reply(`❌ Usage: \`${this.prefix}usage action ${UsageTracker.actions.join('|')}\``);
+      }
+      this.db.setGuildSetting(guildId, 'usage_quota_action', value);
+      return message.reply(value === 'stop'
+        ? '✅ Recording will stop when the monthly quota is used up.'
+        : `✅ Transcription will switch to ${this.describeFallbackModel(guildId)} when the monthly quota is used up.`);
+    }
+
+    if (action) {
+      return message.reply(`❌ Usage: \`${this.prefix}usage [quota <minutes>|off|default] [action ${UsageTracker.actions.join('|')}]\``);
+    }
+
+    const since = usageTracker.getPeriodStart();
+    const summary = this.db.getUsageSummary(guildId, since);
+    const byModel = this.db.getUsageByModel(guildId, since);
+    const byUser = this.db.getUsageByUser(guildId, since, 5);
+    const quota = usageTracker.getQuotaStatus(guildId);
+    const minutes = seconds => `${(seconds / 60).toFixed(1)} min`;
+
+    const quotaText = quota.limit
+      ? `${minutes(quota.used)} of ${minutes(quota.limit)} (${Math.round(quota.used / quota.limit * 100)}%)` +
+        (quota.exceeded ? ` · **exceeded**, ${quota.action === 'stop' ? 'recording stopped' : `using ${this.describeFallbackModel(guildId)}`}` : ` · then ${quota.action}`)
+      : `${minutes(quota.used)} · no quota`;
+
+    await message.reply({
+      embeds: [{
+        color: quota.exceeded ? 0xFF9900 : 0x0099FF,
+        title: '💸 Transcription Usage',
+        description: `Billing period since ${new Date(since * 1000).toISOString().split('T')[0]}\n` +
+                     `🎧 Audio: ${quotaText}\n` +
+                     `📦 Sent: ${(summary.audio_bytes / 1024 / 1024).toFixed(1)} MB in ${summary.requests} request(s)\n` +
+                     `📝 Utterances: ${summary.transcriptions} · ❌ Failed: ${summary.failures}`,
+        fields: [
+          ...(byModel.length > 0 ? [{
+            name: 'By model',
+            value: byModel.map(m => `${m.provider}${m.model ? ` · ${m.model}` : ''}: ${minutes(m.audio_seconds)}, ${m.requests} request(s)${m.failures ? `, ${m.failures} failed` : ''}`).join('\n').slice(0, 1024)
+          }] : []),
+          ...(byUser.length > 0 ? [{
+            name: 'Top users',
+            value: byUser.map(u => `${u.username || u.user_id}: ${minutes(u.audio_seconds)}`).join('\n').slice(0, 1024)
+          }] : [])
+        ],
+        timestamp: new Date()
+      }]
+    });
+  }
+
+  // !optout / !optin: the caller's recording consent in this server, applied at once to any
+  // session they are in
+  async consentChangeCommand(message, command) {
+    const consent = command === 'optin' ? 'in' : 'out';
+    const consentService = this.sessionManager.consentService;
+
+    consentService.setConsent(message.guild.id, message.author.id, consent);
+    await this.sessionManager.applyConsent(message.guild.id, message.author.id);
+
+    await message.reply(consent === 'in'
+      ? `✅ You'll be recorded and transcribed in this server's voice sessions. Use \`${this.prefix}optout\` to stop.`
+      : `✅ You won't be recorded in this server. Reports will list you as present but not recorded. Use \`${this.prefix}optin\` to change your mind.`);
+  }
+
+  async consentCommand(message, args) {
+    const consentService = this.sessionManager.consentService;
+    const guildId = message.guild.id;
+    const [action, value] = args.map(arg => arg.toLowerCase());
+
+    if (!action) {
+      const consent = consentService.getConsent(guildId, message.author.id);
+      const required = consentService.isRequired(guildId);
+      const status = consent === 'in' ? 'opted in'
+        : consent === 'out' ? 'opted out'
+        : required ? 'not opted in, so you are not recorded' : 'recorded (you haven\'t opted out)';
+      return message.reply(
+        `🙈 This server ${required ? '**requires** opt-in before anyone is recorded' : 'records everyone who hasn\'t opted out'}.` +
+        ` You are **${status}**. Use \`${this.prefix}optin\` or \`${this.prefix}optout\` to choose.`
+      );
+    }
+
+    if (action !== 'required' || !['on', 'off'].includes(value)) {
+      return message.reply(`❌ Usage: \`${this.prefix}consent [required on|off]\``);
+    }
+
+    if (!this.isAdmin(message.member)) {
+      return message.reply('❌ Only admins can change whether consent is required.');
+    }
+
+    this.db.setGuildSetting(guildId, 'consent_required', String(value === 'on'));
+
+    // Recordings already running follow the new rule straight away
+    for (const session of this.sessionManager.activeSessions.values()) {
+      if (session.guild_id !== guildId) continue;
+      for (const userId of session.participants) {
+        await this.sessionManager.applyConsent(guildId, userId);
+      }
+    }
+
+    return message.reply(value === 'on'
+      ? `✅ Only members who use \`${this.prefix}optin\` will be recorded in this server.`
+      : `✅ Everyone will be recorded unless they use \`${this.prefix}optout\`.`);
+  }
+
+  async autoJoinCommand(message, args) {
+    const policy = this.autoJoinPolicy;
+    const guild = message.guild;
+    const action = (args[0] || '').toLowerCase();
+    const value = args.slice(1).join(' ').trim();
+    const usage = `❌ Usage: \`${this.prefix}autojoin [on|off|allow|deny|clear|min|hours|days|skipafk|skipprivate|check|reset] ...\``;
+
+    if (!action) {
+      const rules = policy.getRules(guild.id);
+      const describe = ids => ids.map(id => this.describeChannel(guild, id)).join(', ');
+      return message.reply({
+        embeds: [{
+          color: 0x0099FF,
+          title: '🎙️ Auto-join Rules',
+          description: rules.enabled
+            ? `The bot joins voice channels on its own when these rules allow it. \`${this.prefix}join\` always works.`
+            : `Auto-join is **off**; use \`${this.prefix}join\` to start recording.`,
+          fields: [
+            { name: 'Allowed', value: rules.allow.length > 0 ? describe(rules.allow) : 'Every channel', inline: true },
+            { name: 'Denied', value: rules.deny.length > 0 ? describe(rules.deny) : 'None', inline: true },
+            { name: 'Minimum people', value: String(rules.minMembers), inline: true },
+            { name: 'Hours', value: policy.formatHours(rules.hours), inline: true },
+            { name: 'Days', value: rules.days ? rules.days.join(', ') : 'every day', inline: true },
+            { name: 'Skipped', value: [rules.skipAfk && 'AFK channel', rules.skipPrivate && 'private channels'].filter(Boolean).join(', ') || 'Nothing', inline: true }
+          ]
+        }]
+      });
+    }
+
+    // What auto-join would do for the caller's voice channel right now
+    if (action === 'check') {
+      const voiceChannel = message.member.voice.channel;
+      if (!voiceChannel) {
+        return message.reply('❌ Join a voice channel to check the auto-join rules against it.');
+      }
+      const decision = policy.evaluate(voiceChannel, guild);
+      return message.reply(decision.allowed
+        ? `✅ The bot would auto-join **${voiceChannel.name}** now.`
+        : `⏭️ The bot wouldn't auto-join **${voiceChannel.name}** now: ${decision.reason}.`);
+    }
+
+    if (!this.isAdmin(message.member)) {
+      return message.reply('❌ Only admins can change the auto-join rules.');
+    }
+
+    switch (action) {
+      case 'on':
+      case 'off':
+        this.db.setGuildSetting(guild.id, 'autojoin_enabled', String(action === 'on'));
+        return message.reply(action === 'on'
+          ? '✅ Auto-join turned on for this server.'
+          : `✅ Auto-join turned off. \`${this.prefix}join\` still starts recording.`);
+      case 'allow':
+      case 'deny':
+      case 'clear': {
+        const channel = this.findChannel(guild, value);
+        if (!channel) {
+          return message.reply(`❌ Usage: \`${this.prefix}autojoin ${action} <voice channel or category>\` (mention, id or name)`);
+        }
+        const rules = policy.getRules(guild.id);
+        const allow = rules.allow.filter(id => id !== channel.id);
+        const deny = rules.deny.filter(id => id !== channel.id);
+        if (action === 'allow') allow.push(channel.id);
+        if (action === 'deny') deny.push(channel.id);
+        this.db.setGuildSetting(guild.id, 'autojoin_allow', JSON.stringify(allow));
+        this.db.setGuildSetting(guild.id, 'autojoin_deny', JSON.stringify(deny));
+        return message.reply(action === 'clear'
+          ? `✅ Removed ${this.describeChannel(guild, channel.id)} from the auto-join lists.`
+          : `✅ ${this.describeChannel(guild, channel.id)} is now on the auto-join ${action} list.`);
+      }
+      case 'min': {
+        const minMembers = parseInt(value);
+        if (!Number.isInteger(minMembers) || minMembers < 1 || minMembers > 99) {
+          return message.reply(`❌ Usage: \`${this.prefix}autojoin min <1-99>\``);
+        }
+        this.db.setGuildSetting(guild.id, 'autojoin_min_members', String(minMembers));
+        return message.reply(`✅ The bot will auto-join once **${minMembers}** ${minMembers === 1 ? 'person is' : 'people are'} in a channel.`);
+      }
+      case 'hours': {
+        if (value.toLowerCase() !== 'any' && !policy.parseHours(value)) {
+          return message.reply(`❌ Usage: \`${this.prefix}autojoin hours <HH:MM-HH:MM>|any\` (bot's local time, e.g. 09:00-17:30)`);
+        }
+        this.db.setGuildSetting(guild.id, 'autojoin_hours', value.toLowerCase() === 'any' ? '' : value);
+        return message.reply(`✅ Auto-join runs **${policy.formatHours(policy.parseHours(value))}**.`);
+      }
+      case 'days': {
+        const days = policy.parseDays(value);
+        if (value.toLowerCase() !== 'any' && !days) {
+          return message.reply(`❌ Usage: \`${this.prefix}autojoin days <${AutoJoinPolicy.days.join(',')}>|weekdays|weekends|any\``);
+        }
+        this.db.setGuildSetting(guild.id, 'autojoin_days', days ? days.join(',') : '');
+        return message.reply(`✅ Auto-join runs on **${days ? days.join(', ') : 'every day'}**.`);
+      }
+      case 'skipafk':
+      case 'skipprivate': {
+        if (!['on', 'off'].includes(value.toLowerCase())) {
+          return message.reply(`❌ Usage: \`${this.prefix}autojoin ${action} on|off\``);
+        }
+        const what = action === 'skipafk' ? 'the AFK channel' : 'private channels';
+        this.db.setGuildSetting(guild.id, action === 'skipafk' ? 'autojoin_skip_afk' : 'autojoin_skip_private', String(value.toLowerCase() === 'on'));
+        return message.reply(value.toLowerCase() === 'on'
+          ? `✅ Auto-join will skip ${what}.`
+          : `✅ Auto-join will no longer skip ${what}.`);
+      }
+      case 'reset':
+        AutoJoinPolicy.settings.forEach(setting => this.db.deleteGuildSetting(guild.id, setting));
+        return message.reply('✅ Auto-join rules reset to the bot defaults.');
+      default:
+        return message.reply(usage);
+    }
+  }
+
+  // A voice channel or category by mention, id or name
+  findChannel(guild, text) {
+    const id = (text.match(/^<#(\d+)>$/) || [])[1] || text;
+    const channels = guild.channels.cache.filter(ch => ch.type === ChannelType.GuildVoice || ch.type === ChannelType.GuildStageVoice || ch.type === ChannelType.GuildCategory);
+    return channels.get(id) || channels.find(ch => ch.name.toLowerCase() === text.toLowerCase()) || null;
+  }
+
+  describeChannel(guild, id) {
+    const channel = guild.channels.cache.get(id);
+    if (!channel) return `unknown channel ${id}`;
+    return channel.type === ChannelType.GuildCategory ? `category **${channel.name}**` : `**${channel.name}**`;
+  }
+
+  async jobsCommand(message) {
+    if (!this.isAdmin(message.member)) {
+      return message.reply('❌ Only admins can use this command.');
+    }
+
+    // Only this server's jobs; other servers' usernames and errors stay private
+    const counts = this.db.getGuildTranscriptionJobCounts(message.guild.id);
+    const dead = this.db.getDeadTranscriptionJobs(message.guild.id, 10);
+
+    const summary = `⏳ Pending: ${counts.pending || 0}\n` +
+                    `⚙️ Running: ${counts.running || 0}\n` +
+                    `🔁 Awaiting retry: ${counts.failed || 0}\n` +
+                    `✅ Done: ${counts.done || 0}\n` +
+                    `💀 Dead: ${counts.dead || 0}`;
+
+    const deadList = dead.map(job =>
+      `\`#${job.id}\` ${job.username} · ${job.attempts} attempt(s) · ${(job.last_error || 'unknown error').slice(0, 100)}`
+    );
+
+    await message.reply({
+      embeds: [{
+        color: counts.dead ? 0xFF9900 : 0x0099FF,
+        title: '🗂️ Transcription Jobs',
+        description: summary,
+        fields: deadList.length > 0
+          ? [{ name: 'Dead jobs', value: deadList.join('\n').slice(0, 1024) }]
+          : [],
+        footer: { text: `Use ${this.prefix}retryjobs [job_id] to requeue dead jobs` },
+        timestamp: new Date()
+      }]
+    });
+  }
+
+  async retryJobsCommand(message, args) {
+    if (!this.isAdmin(message.member)) {
+      return message.reply('❌ Only admins can use this command.');
+    }
+
+    let jobId = null;
+    if (args[0]) {
+      jobId = parseInt(args[0].replace(/^#/, ''));
+      if (isNaN(jobId)) {
+        return message.reply(`❌ Usage: \`${this.prefix}retryjobs [job_id]\``);
+      }
+    }
+
+    const retried = this.sessionManager.transcriptionQueue.retryDead(message.guild.id, jobId);
+    if (retried === 0) {
+      return message.reply(jobId !== null ? `❌ No dead job #${jobId} found.` : '✅ No dead jobs to retry.');
+    }
+
+    await message.reply(`🔁 Requeued ${retried} transcription job(s).`);
+  }
+
+  // Server admins, or members with the configured admin role
+  isAdmin(member) {
+    if (!member) return false;
+    if (member.permissions.has(PermissionFlagsBits.ManageGuild)) return true;
+
+    const roleName = process.env.ADMIN_ROLE_NAME;
+    return Boolean(roleName && member.roles.cache.some(role => role.name === roleName));
+  }
+
   async helpCommand(message) {
     const helpEmbed = {
       color: 0x0099FF,
@@ -189,6 +953,62 @@ class CommandHandler {
           name: `${this.prefix}daily [YYYY-MM-DD]`,
           value: 'Generate a daily activity report (defaults to today)'
         },
+        {
+          name: `${this.prefix}captions on|off [thread]`,
+          value: 'Post live captions for your voice channel here, or in a new thread (requires Manage Channels permission)'
+        },
+        {
+          name: `${this.prefix}language [code|auto]`,
+          value: 'Show or set the language you usually speak, to help transcription (detected automatically otherwise)'
+        },
+        {
+          name: `${this.prefix}provider [name|default]`,
+          value: 'Show or change the transcription provider for this server (changing requires admin)'
+        },
+        {
+          name: `${this.prefix}translate [code|off]`,
+          value: 'Show or set the language transcripts in this server are translated into (changing requires admin)'
+        },
+        {
+          name: `${this.prefix}transcript <session_id> [original|translation|bilingual] [unredacted]`,
+          value: 'Export a session transcript as a file, optionally translated or side by side (unredacted is sent privately, admins only)'
+        },
+        {
+          name: `${this.prefix}redact [categories|mode|keep|word|reset]`,
+          value: 'Show or change how personal information and profanity are redacted from transcripts (changing requires admin)'
+        },
+        {
+          name: `${this.prefix}vocab [add|fix|remove]`,
+          value: 'Show the server glossary and corrections, or change them (changing requires admin): `add <term>`, `fix <misheard> => <correct>`, `remove <term>`'
+        },
+        {
+          name: `${this.prefix}usage [quota|action]`,
+          value: 'Show this month\'s transcription usage, or set the monthly quota and what happens when it runs out (admins only)'
+        },
+        {
+          name: `${this.prefix}retranscribe <session_id> [provider] [model] [nocache]`,
+          value: 'Transcribe a past session again from its retained audio, optionally with another provider or model, and post the new report; nocache skips cached results (admins only)'
+        },
+        {
+          name: `${this.prefix}optout / ${this.prefix}optin`,
+          value: 'Stop or allow recording of your voice in this server; your choice is remembered'
+        },
+        {
+          name: `${this.prefix}consent [required on|off]`,
+          value: 'Show your recording consent, or require members to opt in before they are recorded (admins only)'
+        },
+        {
+          name: `${this.prefix}autojoin [on|off|allow|deny|clear|min|hours|days|skipafk|skipprivate|check|reset]`,
+          value: 'Show or change when the bot joins voice channels on its own; check tests your current channel (changes are admins only)'
+        },
+        {
+          name: `${this.prefix}jobs`,
+          value: 'Show the transcription job queue and dead jobs (admins only)'
+        },
+        {
+          name: `${this.prefix}retryjobs [job_id]`,
+          value: 'Requeue one or all dead transcription jobs (admins only)'
+        },
         {
           name: `${this.prefix}help`,
           value: 'Show this help message'
@@ -4,12 +4,15 @@ class DatabaseQueries {
     this.saveCallback = saveCallback;
   }
 
-  // Helper method to run a query and save
+  // Helper method to run a query and save; returns the number of rows changed
   runAndSave(sql, params = []) {
     this.db.run(sql, params);
+    // Read before saving: exporting the database resets the change counter
+    const changes = this.db.getRowsModified();
     if (this.saveCallback) {
       this.saveCallback();
     }
+    return changes;
   }
 
   // Helper to get single row
@@ -99,6 +102,53 @@ class DatabaseQueries {
     }
   }
 
+  // Sessions the database still has as active, e.g. after a crash
+  getActiveSessions() {
+    try {
+      return this.getAll(`SELECT * FROM sessions WHERE status = 'active' ORDER BY start_time`);
+    } catch (error) {
+      console.error('Error getting active sessions:', error);
+      throw error;
+    }
+  }
+
+  // Close a session the bot didn't end itself, with an estimated end time
+  recoverSession(sessionId, endTime, duration) {
+    try {
+      this.runAndSave(
+        `UPDATE sessions
+         SET end_time = ?, duration = ?, status = 'recovered',
+             participant_count = (SELECT COUNT(DISTINCT user_id) FROM participants WHERE session_id = ?)
+         WHERE session_id = ?`,
+        [endTime, duration, sessionId, sessionId]
+      );
+      return { changes: 1 };
+    } catch (error) {
+      console.error('Error recovering session:', error);
+      throw error;
+    }
+  }
+
+  // Unix time of the last thing known to have happened in a session, or null
+  getSessionLastActivity(sessionId) {
+    try {
+      const row = this.getOne(
+        `SELECT MAX(time) as time FROM (
+           SELECT MAX(MAX(joined_at), COALESCE(MAX(left_at), 0)) as time FROM participants WHERE session_id = ?
+           UNION ALL
+           SELECT MAX(timestamp + CAST(COALESCE(duration, 0) AS INTEGER)) FROM transcriptions WHERE session_id = ?
+           UNION ALL
+           SELECT MAX(created_at) FROM transcription_jobs WHERE session_id = ?
+         )`,
+        [sessionId, sessionId, sessionId]
+      );
+      return row ? row.time : null;
+    } catch (error) {
+      console.error('Error getting session activity:', error);
+      throw error;
+    }
+  }
+
   // Alias for findSessionById
   getSession(sessionId) {
     return this.findSessionById(sessionId);
@@ -117,17 +167,60 @@ class DatabaseQueries {
     }
   }
 
+  // Session event methods
+  addSessionEvent(event) {
+    try {
+      this.runAndSave(
+        `INSERT INTO session_events (session_id, event_type, started_at, details)
+         VALUES (?, ?, ?, ?)`,
+        [event.session_id, event.event_type, event.started_at, event.details || null]
+      );
+      return { changes: 1 };
+    } catch (error) {
+      console.error('Error adding session event:', error);
+      throw error;
+    }
+  }
+
+  // Close the session's open event of this type
+  endSessionEvent(sessionId, eventType, endedAt) {
+    try {
+      return this.runAndSave(
+        `UPDATE session_events
+         SET ended_at = ?
+         WHERE session_id = ? AND event_type = ? AND ended_at IS NULL`,
+        [endedAt, sessionId, eventType]
+      );
+    } catch (error) {
+      console.error('Error ending session event:', error);
+      throw error;
+    }
+  }
+
+  getSessionEvents(sessionId) {
+    try {
+      return this.getAll(
+        `SELECT * FROM session_events WHERE session_id = ? ORDER BY started_at, id`,
+        [sessionId]
+      );
+    } catch (error) {
+      console.error('Error getting session events:', error);
+      throw error;
+    }
+  }
+
   // Participant methods
   addParticipant(participantData) {
     try {
       this.runAndSave(
-        `INSERT INTO participants (session_id, user_id, username, joined_at)
-         VALUES (?, ?, ?, ?)`,
+        `INSERT INTO participants (session_id, user_id, username, joined_at, recorded)
+         VALUES (?, ?, ?, ?, ?)`,
         [
           participantData.session_id,
           participantData.user_id,
           participantData.username,
-          participantData.joined_at
+          participantData.joined_at,
+          participantData.recorded === false ? 0 : 1
         ]
       );
       return { changes: 1 };
@@ -152,6 +245,35 @@ class DatabaseQueries {
     }
   }
 
+  // Participants still marked as present leave when the session does
+  closeOpenParticipants(sessionId, leftAt) {
+    try {
+      return this.runAndSave(
+        `UPDATE participants
+         SET left_at = ?, duration = MAX(0, ? - joined_at)
+         WHERE session_id = ? AND left_at IS NULL`,
+        [leftAt, leftAt, sessionId]
+      );
+    } catch (error) {
+      console.error('Error closing participants:', error);
+      throw error;
+    }
+  }
+
+  // A participant who started being recorded part way through their stay
+  markParticipantRecorded(sessionId, userId) {
+    try {
+      this.runAndSave(
+        `UPDATE participants SET recorded = 1 WHERE session_id = ? AND user_id = ? AND left_at IS NULL`,
+        [sessionId, userId]
+      );
+      return { changes: 1 };
+    } catch (error) {
+      console.error('Error marking participant recorded:', error);
+      throw error;
+    }
+  }
+
   getParticipants(sessionId) {
     try {
       return this.getAll(
@@ -168,8 +290,8 @@ class DatabaseQueries {
   addTranscription(transcriptionData) {
     try {
       this.runAndSave(
-        `INSERT INTO transcriptions (session_id, user_id, username, audio_file, transcript, confidence, language, timestamp, duration, word_count)
-         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        `INSERT INTO transcriptions (session_id, user_id, username, audio_file, transcript, confidence, language, timestamp, duration, word_count, start_offset, end_offset, voiced_duration, segments, status, flag_reason, translation, translation_language, redactions, unredacted_transcript, provider, model)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
         [
           transcriptionData.session_id,
           transcriptionData.user_id,
@@ -180,7 +302,19 @@ class DatabaseQueries {
           transcriptionData.language,
           transcriptionData.timestamp,
           transcriptionData.duration,
-          transcriptionData.word_count
+          transcriptionData.word_count,
+          transcriptionData.start_offset ?? null,
+          transcriptionData.end_offset ?? null,
+          transcriptionData.voiced_duration ?? null,
+          transcriptionData.segments ? JSON.stringify(transcriptionData.segments) : null,
+          transcriptionData.status || 'active',
+          transcriptionData.flag_reason ?? null,
+          transcriptionData.translation ?? null,
+          transcriptionData.translation_language ?? null,
+          transcriptionData.redactions ? JSON.stringify(transcriptionData.redactions) : null,
+          transcriptionData.unredacted_transcript ?? null,
+          transcriptionData.provider ?? null,
+          transcriptionData.model ?? null
         ]
       );
       return { changes: 1 };
@@ -190,10 +324,11 @@ class DatabaseQueries {
     }
   }
 
+  // Quarantined transcriptions are left out of transcripts and analytics
   getTranscriptions(sessionId) {
     try {
       return this.getAll(
-        `SELECT * FROM transcriptions WHERE session_id = ? ORDER BY timestamp`,
+        `SELECT * FROM transcriptions WHERE session_id = ? AND status = 'active' ORDER BY timestamp, start_offset, id`,
         [sessionId]
       );
     } catch (error) {
@@ -202,14 +337,53 @@ class DatabaseQueries {
     }
   }
 
+  getQuarantinedTranscriptions(sessionId) {
+    try {
+      return this.getAll(
+        `SELECT * FROM transcriptions WHERE session_id = ? AND status = 'quarantined' ORDER BY timestamp, start_offset, id`,
+        [sessionId]
+      );
+    } catch (error) {
+      console.error('Error getting quarantined transcriptions:', error);
+      throw error;
+    }
+  }
+
+  // Rows a re-transcription replaces: everything not already superseded
+  getCurrentTranscriptions(sessionId) {
+    try {
+      return this.getAll(
+        `SELECT * FROM transcriptions WHERE session_id = ? AND status IN ('active', 'quarantined') ORDER BY timestamp, start_offset, id`,
+        [sessionId]
+      );
+    } catch (error) {
+      console.error('Error getting current transcriptions:', error);
+      throw error;
+    }
+  }
+
+  supersedeTranscriptions(sessionId, audioFile) {
+    try {
+      return this.runAndSave(
+        `UPDATE transcriptions
+         SET status = 'superseded', superseded_at = strftime('%s', 'now')
+         WHERE session_id = ? AND audio_file = ? AND status IN ('active', 'quarantined')`,
+        [sessionId, audioFile]
+      );
+    } catch (error) {
+      console.error('Error superseding transcriptions:', error);
+      throw error;
+    }
+  }
+
   getTranscriptionsByDate(startTime, endTime) {
     try {
       return this.getAll(
         `SELECT t.*, s.guild_id, s.channel_name
          FROM transcriptions t
          JOIN sessions s ON t.session_id = s.session_id
-         WHERE t.timestamp BETWEEN ? AND ?
-         ORDER BY t.timestamp`,
+         WHERE t.timestamp BETWEEN ? AND ? AND t.status = 'active'
+         ORDER BY t.timestamp, t.start_offset, t.id`,
         [startTime, endTime]
       );
     } catch (error) {
@@ -289,6 +463,566 @@ class DatabaseQueries {
     }
   }
 
+  // Caption settings methods
+  setCaptionSettings(settings) {
+    try {
+      this.runAndSave(
+        `INSERT INTO caption_settings (guild_id, voice_channel_id, text_channel_id, use_thread, enabled, updated_at)
+         VALUES (?, ?, ?, ?, ?, strftime('%s', 'now'))
+         ON CONFLICT(voice_channel_id) DO UPDATE SET
+           text_channel_id = excluded.text_channel_id,
+           use_thread = excluded.use_thread,
+           enabled = excluded.enabled,
+           updated_at = excluded.updated_at`,
+        [
+          settings.guild_id,
+          settings.voice_channel_id,
+          settings.text_channel_id,
+          settings.use_thread ? 1 : 0,
+          settings.enabled ? 1 : 0
+        ]
+      );
+      return { changes: 1 };
+    } catch (error) {
+      console.error('Error saving caption settings:', error);
+      throw error;
+    }
+  }
+
+  getCaptionSettings(voiceChannelId) {
+    try {
+      return this.getOne(
+        `SELECT * FROM caption_settings WHERE voice_channel_id = ?`,
+        [voiceChannelId]
+      );
+    } catch (error) {
+      console.error('Error getting caption settings:', error);
+      throw error;
+    }
+  }
+
+  // Guild settings methods
+  setGuildSetting(guildId, setting, value) {
+    try {
+      this.runAndSave(
+        `INSERT INTO guild_settings (guild_id, setting, value, updated_at)
+         VALUES (?, ?, ?, strftime('%s', 'now'))
+         ON CONFLICT(guild_id, setting) DO UPDATE SET
+           value = excluded.value,
+           updated_at = excluded.updated_at`,
+        [guildId, setting, value]
+      );
+      return { changes: 1 };
+    } catch (error) {
+      console.error('Error saving guild setting:', error);
+      throw error;
+    }
+  }
+
+  getGuildSetting(guildId, setting) {
+    try {
+      const row = this.getOne(
+        `SELECT value FROM guild_settings WHERE guild_id = ? AND setting = ?`,
+        [guildId, setting]
+      );
+      return row ? row.value : null;
+    } catch (error) {
+      console.error('Error getting guild setting:', error);
+      throw error;
+    }
+  }
+
+  deleteGuildSetting(guildId, setting) {
+    try {
+      return this.runAndSave(
+        `DELETE FROM guild_settings WHERE guild_id = ? AND setting = ?`,
+        [guildId, setting]
+      );
+    } catch (error) {
+      console.error('Error deleting guild setting:', error);
+      throw error;
+    }
+  }
+
+  // User preference methods
+  setUserLanguage(userId, language) {
+    try {
+      this.runAndSave(
+        `INSERT INTO user_preferences (user_id, language, updated_at)
+         VALUES (?, ?, strftime('%s', 'now'))
+         ON CONFLICT(user_id) DO UPDATE SET
+           language = excluded.language,
+           updated_at = excluded.updated_at`,
+        [userId, language]
+      );
+      return { changes: 1 };
+    } catch (error) {
+      console.error('Error saving user language:', error);
+      throw error;
+    }
+  }
+
+  getUserLanguage(userId) {
+    try {
+      const row = this.getOne(
+        `SELECT language FROM user_preferences WHERE user_id = ?`,
+        [userId]
+      );
+      return row ? row.language : null;
+    } catch (error) {
+      console.error('Error getting user language:', error);
+      throw error;
+    }
+  }
+
+  // Recording consent methods
+  setRecordingConsent(guildId, userId, consent) {
+    try {
+      this.runAndSave(
+        `INSERT INTO recording_consent (guild_id, user_id, consent, updated_at)
+         VALUES (?, ?, ?, strftime('%s', 'now'))
+         ON CONFLICT(guild_id, user_id) DO UPDATE SET
+           consent = excluded.consent,
+           updated_at = excluded.updated_at`,
+        [guildId, userId, consent]
+      );
+      return { changes: 1 };
+    } catch (error) {
+      console.error('Error saving recording consent:', error);
+      throw error;
+    }
+  }
+
+  // 'in', 'out', or null when the user hasn't said
+  getRecordingConsent(guildId, userId) {
+    try {
+      const row = this.getOne(
+        `SELECT consent FROM recording_consent WHERE guild_id = ? AND user_id = ?`,
+        [guildId, userId]
+      );
+      return row ? row.consent : null;
+    } catch (error) {
+      console.error('Error getting recording consent:', error);
+      throw error;
+    }
+  }
+
+  // Guild vocabulary methods
+  // replacement is null for glossary terms, or the right spelling of a misrecognized term
+  setVocabularyEntry(entry) {
+    try {
+      this.runAndSave(
+        `INSERT INTO guild_vocabulary (guild_id, term, replacement, added_by)
+         VALUES (?, ?, ?, ?)
+         ON CONFLICT(guild_id, term) DO UPDATE SET
+           replacement = excluded.replacement,
+           added_by = excluded.added_by`,
+        [entry.guild_id, entry.term, entry.replacement ?? null, entry.added_by ?? null]
+      );
+      return { changes: 1 };
+    } catch (error) {
+      console.error('Error saving vocabulary entry:', error);
+      throw error;
+    }
+  }
+
+  deleteVocabularyEntry(guildId, term) {
+    try {
+      return this.runAndSave(
+        `DELETE FROM guild_vocabulary WHERE guild_id = ? AND term = ?`,
+        [guildId, term]
+      );
+    } catch (error) {
+      console.error('Error deleting vocabulary entry:', error);
+      throw error;
+    }
+  }
+
+  getVocabulary(guildId) {
+    try {
+      return this.getAll(
+        `SELECT * FROM guild_vocabulary WHERE guild_id = ? ORDER BY term`,
+        [guildId]
+      );
+    } catch (error) {
+      console.error('Error getting vocabulary:', error);
+      throw error;
+    }
+  }
+
+  // Transcription usage methods
+  addUsageRecord(usage) {
+    try {
+      this.runAndSave(
+        `INSERT INTO transcription_usage (guild_id, session_id, user_id, username, provider, model, audio_seconds, audio_bytes, requests, success, error)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          usage.guild_id,
+          usage.session_id ?? null,
+          usage.user_id ?? null,
+          usage.username ?? null,
+          usage.provider ?? null,
+          usage.model ?? null,
+          usage.audio_seconds || 0,
+          usage.audio_bytes || 0,
+          usage.requests || 0,
+          usage.success ? 1 : 0,
+          usage.error ?? null
+        ]
+      );
+      return { changes: 1 };
+    } catch (error) {
+      console.error('Error adding usage record:', error);
+      throw error;
+    }
+  }
+
+  // Totals for a guild since a unix timestamp
+  getUsageSummary(guildId, since) {
+    try {
+      return this.getOne(
+        `SELECT
+          COUNT(*) as transcriptions,
+          COALESCE(SUM(audio_seconds), 0) as audio_seconds,
+          COALESCE(SUM(audio_bytes), 0) as audio_bytes,
+          COALESCE(SUM(requests), 0) as requests,
+          COALESCE(SUM(CASE WHEN success = 0 THEN 1 ELSE 0 END), 0) as failures
+        FROM transcription_usage
+        WHERE guild_id = ? AND created_at >= ?`,
+        [guildId, since]
+      );
+    } catch (error) {
+      console.error('Error getting usage summary:', error);
+      throw error;
+    }
+  }
+
+  getUsageByUser(guildId, since, limit = 5) {
+    try {
+      return this.getAll(
+        `SELECT user_id, MAX(username) as username,
+          SUM(audio_seconds) as audio_seconds, SUM(requests) as requests, COUNT(*) as transcriptions
+        FROM transcription_usage
+        WHERE guild_id = ? AND created_at >= ?
+        GROUP BY user_id
+        ORDER BY audio_seconds DESC
+        LIMIT ?`,
+        [guildId, since, limit]
+      );
+    } catch (error) {
+      console.error('Error getting usage by user:', error);
+      throw error;
+    }
+  }
+
+  getUsageByModel(guildId, since) {
+    try {
+      return this.getAll(
+        `SELECT provider, model,
+          SUM(audio_seconds) as audio_seconds, SUM(requests) as requests,
+          SUM(CASE WHEN success = 0 THEN 1 ELSE 0 END) as failures
+        FROM transcription_usage
+        WHERE guild_id = ? AND created_at >= ?
+        GROUP BY provider, model
+        ORDER BY audio_seconds DESC`,
+        [guildId, since]
+      );
+    } catch (error) {
+      console.error('Error getting usage by model:', error);
+      throw error;
+    }
+  }
+
+  // Transcription cache methods
+  getCacheEntry(cacheKey, createdAfter) {
+    try {
+      return this.getOne(
+        `SELECT * FROM transcription_cache WHERE cache_key = ? AND created_at >= ?`,
+        [cacheKey, createdAfter]
+      );
+    } catch (error) {
+      console.error('Error getting cache entry:', error);
+      throw error;
+    }
+  }
+
+  setCacheEntry(entry) {
+    try {
+      this.runAndSave(
+        `INSERT INTO transcription_cache (cache_key, guild_id, provider, model, result, size)
+         VALUES (?, ?, ?, ?, ?, ?)
+         ON CONFLICT(cache_key) DO UPDATE SET
+           guild_id = excluded.guild_id,
+           provider = excluded.provider,
+           model = excluded.model,
+           result = excluded.result,
+           size = excluded.size,
+           created_at = strftime('%s', 'now'),
+           last_used_at = strftime('%s', 'now')`,
+        [entry.cache_key, entry.guild_id, entry.provider, entry.model, entry.result, entry.size]
+      );
+      return { changes: 1 };
+    } catch (error) {
+      console.error('Error saving cache entry:', error);
+      throw error;
+    }
+  }
+
+  touchCacheEntry(cacheKey) {
+    try {
+      return this.runAndSave(
+        `UPDATE transcription_cache SET hits = hits + 1, last_used_at = strftime('%s', 'now') WHERE cache_key = ?`,
+        [cacheKey]
+      );
+    } catch (error) {
+      console.error('Error updating cache entry:', error);
+      throw error;
+    }
+  }
+
+  deleteCacheEntry(cacheKey) {
+    try {
+      return this.runAndSave(`DELETE FROM transcription_cache WHERE cache_key = ?`, [cacheKey]);
+    } catch (error) {
+      console.error('Error deleting cache entry:', error);
+      throw error;
+    }
+  }
+
+  deleteCacheEntriesOlderThan(createdBefore) {
+    try {
+      return this.runAndSave(`DELETE FROM transcription_cache WHERE created_at < ?`, [createdBefore]);
+    } catch (error) {
+      console.error('Error deleting expired cache entries:', error);
+      throw error;
+    }
+  }
+
+  deleteCacheEntriesForGuild(guildId) {
+    try {
+      return this.runAndSave(`DELETE FROM transcription_cache WHERE guild_id = ?`, [guildId]);
+    } catch (error) {
+      console.error('Error deleting guild cache entries:', error);
+      throw error;
+    }
+  }
+
+  getCacheSize() {
+    try {
+      const row = this.getOne(`SELECT COALESCE(SUM(size), 0) as size FROM transcription_cache`);
+      return row.size;
+    } catch (error) {
+      console.error('Error getting cache size:', error);
+      throw error;
+    }
+  }
+
+  getCacheEntriesByLastUse() {
+    try {
+      return this.getAll(`SELECT cache_key, size FROM transcription_cache ORDER BY last_used_at, created_at`);
+    } catch (error) {
+      console.error('Error getting cache entries:', error);
+      throw error;
+    }
+  }
+
+  // Audio files a session's jobs or transcriptions already account for
+  getSessionAudioFiles(sessionId) {
+    try {
+      return this.getAll(
+        `SELECT audio_file FROM transcription_jobs WHERE session_id = ? AND audio_file IS NOT NULL
+         UNION
+         SELECT audio_file FROM transcriptions WHERE session_id = ? AND audio_file IS NOT NULL`,
+        [sessionId, sessionId]
+      ).map(row => row.audio_file);
+    } catch (error) {
+      console.error('Error getting session audio files:', error);
+      throw error;
+    }
+  }
+
+  // Transcription job methods
+  addTranscriptionJob(jobData) {
+    try {
+      this.runAndSave(
+        `INSERT INTO transcription_jobs (session_id, user_id, username, audio_file, payload, max_attempts, next_attempt_at)
+         VALUES (?, ?, ?, ?, ?, ?, strftime('%s', 'now'))`,
+        [
+          jobData.session_id,
+          jobData.user_id,
+          jobData.username,
+          jobData.audio_file,
+          jobData.payload,
+          jobData.max_attempts
+        ]
+      );
+      return { changes: 1 };
+    } catch (error) {
+      console.error('Error adding transcription job:', error);
+      throw error;
+    }
+  }
+
+  // Take the oldest job that is due and mark it running, counting the attempt. now and
+  // next_attempt_at are in seconds, like every other timestamp.
+  claimTranscriptionJob(now) {
+    try {
+      const job = this.getOne(
+        `SELECT * FROM transcription_jobs
+         WHERE status IN ('pending', 'failed') AND next_attempt_at <= ?
+         ORDER BY next_attempt_at, id
+         LIMIT 1`,
+        [now]
+      );
+      if (!job) return null;
+
+      this.runAndSave(
+        `UPDATE transcription_jobs
+         SET status = 'running', attempts = attempts + 1, updated_at = strftime('%s', 'now')
+         WHERE id = ?`,
+        [job.id]
+      );
+      return { ...job, status: 'running', attempts: job.attempts + 1 };
+    } catch (error) {
+      console.error('Error claiming transcription job:', error);
+      throw error;
+    }
+  }
+
+  completeTranscriptionJob(jobId) {
+    try {
+      this.runAndSave(
+        `UPDATE transcription_jobs
+         SET status = 'done', last_error = NULL, updated_at = strftime('%s', 'now')
+         WHERE id = ?`,
+        [jobId]
+      );
+      return { changes: 1 };
+    } catch (error) {
+      console.error('Error completing transcription job:', error);
+      throw error;
+    }
+  }
+
+  failTranscriptionJob(jobId, status, lastError, nextAttemptAt) {
+    try {
+      this.runAndSave(
+        `UPDATE transcription_jobs
+         SET status = ?, last_error = ?, next_attempt_at = ?, updated_at = strftime('%s', 'now')
+         WHERE id = ?`,
+        [status, lastError, nextAttemptAt, jobId]
+      );
+      return { changes: 1 };
+    } catch (error) {
+      console.error('Error failing transcription job:', error);
+      throw error;
+    }
+  }
+
+  // Jobs left running by a crash or restart go back to the queue
+  resetRunningTranscriptionJobs() {
+    try {
+      return this.runAndSave(
+        `UPDATE transcription_jobs
+         SET status = 'pending', next_attempt_at = strftime('%s', 'now'), updated_at = strftime('%s', 'now')
+         WHERE status = 'running'`
+      );
+    } catch (error) {
+      console.error('Error resetting running transcription jobs:', error);
+      throw error;
+    }
+  }
+
+  // Requeue a guild's dead jobs with a fresh set of attempts; all of them when no id is given
+  retryDeadTranscriptionJobs(guildId, jobId = null) {
+    try {
+      const params = [guildId];
+      let sql = `UPDATE transcription_jobs
+         SET status = 'pending', attempts = 0, next_attempt_at = strftime('%s', 'now'), updated_at = strftime('%s', 'now')
+         WHERE status = 'dead'
+           AND session_id IN (SELECT session_id FROM sessions WHERE guild_id = ?)`;
+      if (jobId !== null) {
+        sql += ' AND id = ?';
+        params.push(jobId);
+      }
+
+      return this.runAndSave(sql, params);
+    } catch (error) {
+      console.error('Error retrying dead transcription jobs:', error);
+      throw error;
+    }
+  }
+
+  // Job counts by status for one session
+  getTranscriptionJobCounts(sessionId) {
+    try {
+      const rows = this.getAll(`SELECT status, COUNT(*) as count FROM transcription_jobs WHERE session_id = ? GROUP BY status`, [sessionId]);
+      return rows.reduce((counts, row) => ({ ...counts, [row.status]: row.count }), {});
+    } catch (error) {
+      console.error('Error getting transcription job counts:', error);
+      throw error;
+    }
+  }
+
+  // Job counts by status for the sessions of one guild
+  getGuildTranscriptionJobCounts(guildId) {
+    try {
+      const rows = this.getAll(
+        `SELECT j.status, COUNT(*) as count
+         FROM transcription_jobs j
+         JOIN sessions s ON s.session_id = j.session_id
+         WHERE s.guild_id = ?
+         GROUP BY j.status`,
+        [guildId]
+      );
+      return rows.reduce((counts, row) => ({ ...counts, [row.status]: row.count }), {});
+    } catch (error) {
+      console.error('Error getting guild transcription job counts:', error);
+      throw error;
+    }
+  }
+
+  // Job counts by status across every guild, for the queue itself
+  getAllTranscriptionJobCounts() {
+    try {
+      const rows = this.getAll(`SELECT status, COUNT(*) as count FROM transcription_jobs GROUP BY status`);
+      return rows.reduce((counts, row) => ({ ...counts, [row.status]: row.count }), {});
+    } catch (error) {
+      console.error('Error getting transcription job counts:', error);
+      throw error;
+    }
+  }
+
+  getDeadTranscriptionJobs(guildId, limit = 10) {
+    try {
+      return this.getAll(
+        `SELECT j.*
+         FROM transcription_jobs j
+         JOIN sessions s ON s.session_id = j.session_id
+         WHERE j.status = 'dead' AND s.guild_id = ?
+         ORDER BY j.updated_at DESC
+         LIMIT ?`,
+        [guildId, limit]
+      );
+    } catch (error) {
+      console.error('Error getting dead transcription jobs:', error);
+      throw error;
+    }
+  }
+
+  // Finished jobs are only kept for a while
+  deleteFinishedTranscriptionJobs(olderThan) {
+    try {
+      return this.runAndSave(
+        `DELETE FROM transcription_jobs WHERE status = 'done' AND updated_at < ?`,
+        [olderThan]
+      );
+    } catch (error) {
+      console.error('Error deleting finished transcription jobs:', error);
+      throw error;
+    }
+  }
+
   // Stats queries
   getDailyStats(date) {
     try {
@@ -305,14 +1039,14 @@ class DatabaseQueries {
       const transcriptions = this.getOne(
         `SELECT COUNT(*) as count, SUM(word_count) as total_words
          FROM transcriptions
-         WHERE timestamp BETWEEN ? AND ?`,
+         WHERE timestamp BETWEEN ? AND ? AND status = 'active'`,
         [startOfDay, endOfDay]
       );
 
       const uniqueSpeakers = this.getOne(
         `SELECT COUNT(DISTINCT user_id) as count
          FROM transcriptions
-         WHERE timestamp BETWEEN ? AND ?`,
+         WHERE timestamp BETWEEN ? AND ? AND status = 'active'`,
         [startOfDay, endOfDay]
       );
 
@@ -36,6 +36,7 @@ class DatabaseSchema {
 
   initializeTables() {
     // Sessions table - tracks voice channel sessions
+    // (status: 'active', 'completed', or 'recovered' when closed at startup after a crash)
     this.db.run(`
       CREATE TABLE IF NOT EXISTS sessions (
         id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -81,6 +82,19 @@ class DatabaseSchema {
         timestamp INTEGER NOT NULL,
         duration REAL,
         word_count INTEGER,
+        start_offset REAL,
+        end_offset REAL,
+        voiced_duration REAL,
+        segments TEXT,
+        status TEXT DEFAULT 'active',
+        flag_reason TEXT,
+        translation TEXT,
+        translation_language TEXT,
+        redactions TEXT,
+        unredacted_transcript TEXT,
+        provider TEXT,
+        model TEXT,
+        superseded_at INTEGER,
         created_at INTEGER DEFAULT (strftime('%s', 'now')),
         FOREIGN KEY (session_id) REFERENCES sessions(session_id)
       )
@@ -119,6 +133,138 @@ class DatabaseSchema {
       )
     `);
 
+    // Caption settings table - live caption destination per voice channel
+    this.db.run(`
+      CREATE TABLE IF NOT EXISTS caption_settings (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        guild_id TEXT NOT NULL,
+        voice_channel_id TEXT UNIQUE NOT NULL,
+        text_channel_id TEXT NOT NULL,
+        use_thread INTEGER DEFAULT 0,
+        enabled INTEGER DEFAULT 1,
+        updated_at INTEGER DEFAULT (strftime('%s', 'now'))
+      )
+    `);
+
+    // User preferences table - settings that follow a user across servers
+    this.db.run(`
+      CREATE TABLE IF NOT EXISTS user_preferences (
+        user_id TEXT PRIMARY KEY,
+        language TEXT,
+        updated_at INTEGER DEFAULT (strftime('%s', 'now'))
+      )
+    `);
+
+    // Transcription jobs table - persistent queue of utterances waiting for transcription
+    this.db.run(`
+      CREATE TABLE IF NOT EXISTS transcription_jobs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        session_id TEXT NOT NULL,
+        user_id TEXT NOT NULL,
+        username TEXT,
+        audio_file TEXT,
+        payload TEXT NOT NULL,
+        status TEXT DEFAULT 'pending',
+        attempts INTEGER DEFAULT 0,
+        max_attempts INTEGER DEFAULT 5,
+        next_attempt_at INTEGER,
+        last_error TEXT,
+        created_at INTEGER DEFAULT (strftime('%s', 'now')),
+        updated_at INTEGER DEFAULT (strftime('%s', 'now')),
+        FOREIGN KEY (session_id) REFERENCES sessions(session_id)
+      )
+    `);
+
+    // Guild settings table - per-server configuration as key/value pairs
+    this.db.run(`
+      CREATE TABLE IF NOT EXISTS guild_settings (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        guild_id TEXT NOT NULL,
+        setting TEXT NOT NULL,
+        value TEXT,
+        updated_at INTEGER DEFAULT (strftime('%s', 'now')),
+        UNIQUE(guild_id, setting)
+      )
+    `);
+
+    // Guild vocabulary table - glossary terms for the transcription prompt, and
+    // corrections (term -> replacement) for known misrecognitions
+    this.db.run(`
+      CREATE TABLE IF NOT EXISTS guild_vocabulary (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        guild_id TEXT NOT NULL,
+        term TEXT NOT NULL COLLATE NOCASE,
+        replacement TEXT,
+        added_by TEXT,
+        created_at INTEGER DEFAULT (strftime('%s', 'now')),
+        UNIQUE(guild_id, term)
+      )
+    `);
+
+    // Transcription usage table - one row per utterance sent for transcription, for
+    // accounting and monthly quotas
+    this.db.run(`
+      CREATE TABLE IF NOT EXISTS transcription_usage (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        guild_id TEXT NOT NULL,
+        session_id TEXT,
+        user_id TEXT,
+        username TEXT,
+        provider TEXT,
+        model TEXT,
+        audio_seconds REAL DEFAULT 0,
+        audio_bytes INTEGER DEFAULT 0,
+        requests INTEGER DEFAULT 0,
+        success INTEGER DEFAULT 1,
+        error TEXT,
+        created_at INTEGER DEFAULT (strftime('%s', 'now'))
+      )
+    `);
+
+    // Transcription cache table - results keyed by a hash of the audio, model and prompt
+    this.db.run(`
+      CREATE TABLE IF NOT EXISTS transcription_cache (
+        cache_key TEXT PRIMARY KEY,
+        provider TEXT,
+        model TEXT,
+        result TEXT NOT NULL,
+        size INTEGER DEFAULT 0,
+        hits INTEGER DEFAULT 0,
+        created_at INTEGER DEFAULT (strftime('%s', 'now')),
+        last_used_at INTEGER DEFAULT (strftime('%s', 'now'))
+      )
+    `);
+
+    // Recording consent table - each user's choice per guild ('in' or 'out'); users without a
+    // row are recorded unless the guild requires opt-in
+    this.db.run(`
+      CREATE TABLE IF NOT EXISTS recording_consent (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        guild_id TEXT NOT NULL,
+        user_id TEXT NOT NULL,
+        consent TEXT NOT NULL,
+        updated_at INTEGER DEFAULT (strftime('%s', 'now')),
+        UNIQUE(guild_id, user_id)
+      )
+    `);
+
+    // Session events table - things that happened to a session itself, such as a 'gap' while
+    // the voice connection was lost (ended_at is null if it never came back)
+    this.db.run(`
+      CREATE TABLE IF NOT EXISTS session_events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        session_id TEXT NOT NULL,
+        event_type TEXT NOT NULL,
+        started_at INTEGER NOT NULL,
+        ended_at INTEGER,
+        details TEXT,
+        FOREIGN KEY (session_id) REFERENCES sessions(session_id)
+      )
+    `);
+
+    // Bring databases created by older versions up to date
+    this.migrateTables();
+
     // Create indexes for better query performance
     this.db.run(`CREATE INDEX IF NOT EXISTS idx_sessions_guild ON sessions(guild_id)`);
     this.db.run(`CREATE INDEX IF NOT EXISTS idx_sessions_status ON sessions(status)`);
@@ -127,13 +273,59 @@ class DatabaseSchema {
     this.db.run(`CREATE INDEX IF NOT EXISTS idx_participants_user ON participants(user_id)`);
     this.db.run(`CREATE INDEX IF NOT EXISTS idx_transcriptions_session ON transcriptions(session_id)`);
     this.db.run(`CREATE INDEX IF NOT EXISTS idx_transcriptions_timestamp ON transcriptions(timestamp)`);
+    this.db.run(`CREATE INDEX IF NOT EXISTS idx_transcriptions_status ON transcriptions(session_id, status)`);
     this.db.run(`CREATE INDEX IF NOT EXISTS idx_analytics_session ON analytics(session_id)`);
     this.db.run(`CREATE INDEX IF NOT EXISTS idx_reports_type ON reports(report_type)`);
     this.db.run(`CREATE INDEX IF NOT EXISTS idx_reports_date ON reports(report_date)`);
+    this.db.run(`CREATE INDEX IF NOT EXISTS idx_transcription_jobs_status ON transcription_jobs(status, next_attempt_at)`);
+    this.db.run(`CREATE INDEX IF NOT EXISTS idx_transcription_jobs_session ON transcription_jobs(session_id)`);
+    this.db.run(`CREATE INDEX IF NOT EXISTS idx_transcription_usage_guild ON transcription_usage(guild_id, created_at)`);
+    this.db.run(`CREATE INDEX IF NOT EXISTS idx_transcription_cache_last_used ON transcription_cache(last_used_at)`);
+    this.db.run(`CREATE INDEX IF NOT EXISTS idx_session_events_session ON session_events(session_id)`);
 
     console.log('✅ Database schema initialized successfully');
   }
 
+  migrateTables() {
+    // Utterance timing, in seconds from session start
+    this.ensureColumn('transcriptions', 'start_offset', 'REAL');
+    this.ensureColumn('transcriptions', 'end_offset', 'REAL');
+    // Seconds of detected speech in the utterance
+    this.ensureColumn('transcriptions', 'voiced_duration', 'REAL');
+    // JSON array of { start, end, text, confidence, no_speech_prob }, times from session start
+    this.ensureColumn('transcriptions', 'segments', 'TEXT');
+    // 'active', or 'quarantined' when the transcript filter flagged it (reason in flag_reason)
+    this.ensureColumn('transcriptions', 'status', "TEXT DEFAULT 'active'");
+    this.ensureColumn('transcriptions', 'flag_reason', 'TEXT');
+    // Transcript translated into the guild's target language
+    this.ensureColumn('transcriptions', 'translation', 'TEXT');
+    this.ensureColumn('transcriptions', 'translation_language', 'TEXT');
+    // Redaction counts by category, and the original text where the guild keeps it
+    this.ensureColumn('transcriptions', 'redactions', 'TEXT');
+    this.ensureColumn('transcriptions', 'unredacted_transcript', 'TEXT');
+    // What produced the row, and when a re-transcription replaced it (status 'superseded')
+    this.ensureColumn('transcriptions', 'provider', 'TEXT');
+    this.ensureColumn('transcriptions', 'model', 'TEXT');
+    this.ensureColumn('transcriptions', 'superseded_at', 'INTEGER');
+    // 0 when the participant was present but never recorded, for lack of consent
+    this.ensureColumn('participants', 'recorded', 'INTEGER DEFAULT 1');
+    // Guild whose utterance a cached result came from, so its entries can be purged
+    this.ensureColumn('transcription_cache', 'guild_id', 'TEXT');
+    // Retry times used to be stored in milliseconds; every timestamp is in seconds now
+    this.db.run(`UPDATE transcription_jobs SET next_attempt_at = next_attempt_at / 1000 WHERE next_attempt_at > 100000000000`);
+  }
+
+  // Add a column to an existing table if it is missing (CREATE TABLE IF NOT EXISTS won't)
+  ensureColumn(table, column, definition) {
+    const result = this.db.exec(`PRAGMA table_info(${table})`);
+    const columns = result.length > 0 ? result[0].values.map(row => row[1]) : [];
+
+    if (!columns.includes(column)) {
+      this.db.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+      console.log(`🔧 Added column ${table}.${column}`);
+    }
+  }
+
   getDatabase() {
     return this.db;
   }
@@ -14,6 +14,10 @@ const AnalyticsEngine = require('./services/analyticsEngine');
 const ReportGenerator = require('./services/reportGenerator');
 const SessionManager = require('./services/sessionManager');
 const VoiceConnectionHandler = require('./services/voiceConnectionHandler');
+const CaptionService = require('./services/captionService');
+const TranscriptionCache = require('./services/transcriptionCache');
+const AutoJoinPolicy = require('./services/autoJoinPolicy');
+const { getDefaultProviderName, getMissingConfig } = require('./services/transcriptionProviders');
 
 // Commands
 const CommandHandler = require('./commands/commandHandler');
@@ -22,12 +26,22 @@ class VoiceTranscriptionBot {
   constructor() {
     this.dbSchema = null;
     this.db = null;
+    this.recoveredSessions = [];
   }
 
   validateConfig() {
-    const required = ['DISCORD_TOKEN', 'GOOGLE_API_KEY'];
+    const required = ['DISCORD_TOKEN'];
     const missing = required.filter(key => !process.env[key]);
 
+    // Only the default provider's credentials are required; GOOGLE_API_KEY isn't needed for Whisper
+    const provider = getDefaultProviderName();
+    try {
+      missing.push(...getMissingConfig(provider));
+    } catch (error) {
+      console.error('❌', error.message);
+      process.exit(1);
+    }
+
     if (missing.length > 0) {
       console.error('❌ Missing required environment variables:', missing.join(', '));
       console.error('Please create a .env file based on .env.example');
@@ -51,9 +65,11 @@ class VoiceTranscriptionBot {
   initializeServices() {
     // Initialize all services
     this.audioRecorder = new AudioRecorder();
-    this.transcriptionService = new TranscriptionService(process.env.GOOGLE_API_KEY);
+    this.transcriptionCache = new TranscriptionCache(this.db);
+    this.transcriptionService = new TranscriptionService(process.env.GOOGLE_API_KEY, this.transcriptionCache);
     this.analyticsEngine = new AnalyticsEngine(this.db);
     this.reportGenerator = new ReportGenerator(this.db);
+    this.autoJoinPolicy = new AutoJoinPolicy(this.db);
 
     this.sessionManager = new SessionManager(
       this.db,
@@ -68,68 +84,121 @@ class VoiceTranscriptionBot {
       this.audioRecorder
     );
 
-    // Listen for session end to generate report
-    this.voiceHandler.on('sessionEnded', async ({ sessionId, channel, guild }) => {
-      console.log(`📊 Generating report for session ${sessionId}...`);
-      try {
-        const report = await this.sessionManager.generateSessionReport(sessionId, channel);
-        if (report) {
-          // Find text channel to send report
-          let targetChannel = null;
-          if (process.env.REPORT_CHANNEL_ID) {
-            targetChannel = guild.channels.cache.get(process.env.REPORT_CHANNEL_ID);
-          }
-          if (!targetChannel) {
-            // Try to send to the text channel where the voice channel is (if it has one?) 
-            // Or just a guess based on name
-            targetChannel = guild.channels.cache.find(
-              ch => ch.isTextBased() &&
-                (ch.name === channel.name || ch.name.includes('general') || ch.name.includes('transcripts')) &&
-                ch.permissionsFor(guild.members.me).has('SendMessages')
-            );
-          }
-          if (!targetChannel) {
-            targetChannel = guild.systemChannel;
-          }
+    // Live captions follow the voice session and its transcriptions
+    this.captionService = new CaptionService(this.db, this.reportGenerator);
+    this.voiceHandler.on('sessionStarted', (data) => this.captionService.startSession(data));
+    this.sessionManager.on('transcriptionSaved', (transcription) => this.captionService.addCaption(transcription));
+
+    // Stop recording when a guild goes over its monthly quota mid-session
+    this.sessionManager.on('quotaExceeded', async ({ channelId }) => {
+      const connectionData = this.voiceHandler.getConnection(channelId);
+      if (!connectionData) {
+        // Waiting to reconnect; end the session instead
+        if (this.voiceHandler.isSuspended(channelId)) {
+          await this.voiceHandler.leaveChannel(channelId).catch(error => console.error('Error stopping recording over quota:', error));
+        }
+        return;
+      }
 
-          if (targetChannel) {
-            await targetChannel.send({
-              content: `📝 **Meeting Report: ${channel.name}**`,
-              embeds: [report.embed]
-            });
-
-            if (report.transcript && report.transcript.length > 0) {
-              // Send transcript as file if too long, or message
-              if (report.transcript.length > 1900) {
-                const buffer = Buffer.from(report.transcript, 'utf-8');
-                await targetChannel.send({
-                  files: [{ attachment: buffer, name: `transcript-${sessionId}.txt` }]
-                });
-              } else {
-                await targetChannel.send(`\`\`\`\n${report.transcript}\n\`\`\``);
-              }
-            }
-            console.log(`✅ Sent report to #${targetChannel.name}`);
-          } else {
-            console.warn('⚠️ Could not find a text channel to send the report');
-          }
+      console.log(`💸 ${connectionData.guild.name} is over its monthly transcription quota, leaving ${connectionData.channel.name}`);
+      try {
+        const textChannel = connectionData.guild.channels.cache.find(
+          ch => ch.isTextBased() && ch.permissionsFor(connectionData.guild.members.me).has('SendMessages')
+        );
+        if (textChannel) {
+          await textChannel.send(`💸 This server has used its monthly transcription quota. Stopped recording **${connectionData.channel.name}**.`);
         }
+        await this.voiceHandler.leaveChannel(connectionData.channel.id);
       } catch (error) {
-        console.error('Error generating/sending session report:', error);
+        console.error('Error stopping recording over quota:', error);
       }
     });
 
+    // Listen for session end to generate report
+    this.voiceHandler.on('sessionEnded', async ({ sessionId, channel, guild }) => {
+      await this.captionService.endSession(sessionId);
+      await this.sendSessionReport(sessionId, channel, guild);
+    });
+
     this.commandHandler = new CommandHandler(
       this.voiceHandler,
       this.sessionManager,
       this.reportGenerator,
       this.analyticsEngine,
-      this.db
+      this.db,
+      this.captionService,
+      this.autoJoinPolicy
     );
 
     console.log('✅ Services initialized');
   }
 
+  // Post a finished session's report and transcript in the guild's report channel
+  async sendSessionReport(sessionId, channel, guild) {
+    console.log(`📊 Generating report for session ${sessionId}...`);
+    try {
+      const report = await this.sessionManager.generateSessionReport(sessionId, channel);
+      if (report) {
+        // Find text channel to send report
+        let targetChannel = null;
+        if (process.env.REPORT_CHANNEL_ID) {
+          targetChannel = guild.channels.cache.get(process.env.REPORT_CHANNEL_ID);
+        }
+        if (!targetChannel) {
+          // Try to send to the text channel where the voice channel is (if it has one?) 
+          // Or just a guess based on name
+          targetChannel = guild.channels.cache.find(
+            ch => ch.isTextBased() &&
+              (ch.name === channel.name || ch.name.includes('general') || ch.name.includes('transcripts')) &&
+              ch.permissionsFor(guild.members.me).has('SendMessages')
+          );
+        }
+        if (!targetChannel) {
+          targetChannel = guild.systemChannel;
+        }
+
+        if (targetChannel) {
+          await targetChannel.send({
+            content: `📝 **Meeting Report: ${channel.name}**`,
+            embeds: [report.embed]
+          });
+
+          if (report.transcript && report.transcript.length > 0) {
+            // Send transcript as file if too long, or message
+            if (report.transcript.length > 1900) {
+              const buffer = Buffer.from(report.transcript, 'utf-8');
+              await targetChannel.send({
+                files: [{ attachment: buffer, name: `transcript-${sessionId}.txt` }]
+              });
+            } else {
+              await targetChannel.send(`\`\`\`\n${report.transcript}\n\`\`\``);
+            }
+          }
+          console.log(`✅ Sent report to #${targetChannel.name}`);
+        } else {
+          console.warn('⚠️ Could not find a text channel to send the report');
+        }
+      }
+    } catch (error) {
+      console.error('Error generating/sending session report:', error);
+    }
+  }
+
+  // Report sessions recovered at startup once their orphaned utterances are transcribed
+  async sendRecoveredReports() {
+    for (const sessionId of this.recoveredSessions) {
+      const session = this.db.findSessionById(sessionId);
+      const guild = session && this.client.guilds.cache.get(session.guild_id);
+      if (!guild) continue;
+
+      await this.sessionManager.transcriptionQueue.waitForSession(sessionId);
+      // The voice channel may be gone by now; the report only needs its name
+      const channel = guild.channels.cache.get(session.channel_id) || { id: session.channel_id, name: session.channel_name };
+      await this.sendSessionReport(sessionId, channel, guild);
+    }
+    this.recoveredSessions = [];
+  }
+
   initializeClient() {
     this.client = new Client({
       intents: [
@@ -158,6 +227,10 @@ class VoiceTranscriptionBot {
 
       // Cleanup old recordings on startup
       this.audioRecorder.cleanupOldRecordings(7);
+
+      this.sendRecoveredReports().catch(error => {
+        console.error('Error sending recovered session reports:', error);
+      });
     });
 
     // Message handling
@@ -189,59 +262,20 @@ class VoiceTranscriptionBot {
       const member = newState.member;
       if (!member || member.user.bot) return;
 
-      // User joined a voice channel
-      if (!oldState.channel && newState.channel) {
-        // Auto-join: If bot is NOT in this channel, join it automatically
-        if (!this.voiceHandler.hasConnection(newState.channel.id)) {
-          console.log(`🎙️  Auto-joining voice channel: ${newState.channel.name}`);
-          try {
-            await this.voiceHandler.joinChannel(newState.channel, newState.guild);
-            // Find a text channel to send notification
-            const textChannel = newState.guild.channels.cache.find(
-              ch => ch.isTextBased() && ch.permissionsFor(newState.guild.members.me).has('SendMessages')
-            );
-            if (textChannel) {
-              await textChannel.send(`🎙️ Auto-joined **${newState.channel.name}** - Recording started!`);
-            }
-          } catch (error) {
-            console.error('Error auto-joining channel:', error);
-          }
-        } else {
-          // Bot already in channel, just handle the user join
-          await this.voiceHandler.handleUserJoin(member, newState.channel);
-        }
-      }
+      const moved = oldState.channelId !== newState.channelId;
+      if (!moved) return;
 
-      // User left a voice channel
-      if (oldState.channel && !newState.channel) {
-        if (this.voiceHandler.hasConnection(oldState.channel.id)) {
-          await this.voiceHandler.handleUserLeave(member, oldState.channel);
-        }
+      // User left (or switched away from) a voice channel
+      if (oldState.channel && this.voiceHandler.hasConnection(oldState.channel.id)) {
+        await this.voiceHandler.handleUserLeave(member, oldState.channel);
       }
 
-      // User switched channels
-      if (oldState.channel && newState.channel && oldState.channel.id !== newState.channel.id) {
-        // Left old channel
-        if (this.voiceHandler.hasConnection(oldState.channel.id)) {
-          await this.voiceHandler.handleUserLeave(member, oldState.channel);
-        }
-
-        // Joined new channel - auto-join if not already there
-        if (!this.voiceHandler.hasConnection(newState.channel.id)) {
-          console.log(`🎙️  Auto-joining voice channel: ${newState.channel.name}`);
-          try {
-            await this.voiceHandler.joinChannel(newState.channel, newState.guild);
-            const textChannel = newState.guild.channels.cache.find(
-              ch => ch.isTextBased() && ch.permissionsFor(newState.guild.members.me).has('SendMessages')
-            );
-            if (textChannel) {
-              await textChannel.send(`🎙️ Auto-joined **${newState.channel.name}** - Recording started!`);
-            }
-          } catch (error) {
-            console.error('Error auto-joining channel:', error);
-          }
-        } else {
+      // User joined (or switched to) a voice channel
+      if (newState.channel) {
+        if (this.voiceHandler.hasConnection(newState.channel.id)) {
           await this.voiceHandler.handleUserJoin(member, newState.channel);
+        } else {
+          await this.autoJoin(newState.channel, newState.guild);
         }
       }
     } catch (error) {
@@ -249,6 +283,32 @@ class VoiceTranscriptionBot {
     }
   }
 
+  // Join a channel people are gathering in, if the guild's auto-join rules allow it. A session
+  // waiting to reconnect to the channel is resumed whatever the rules say.
+  async autoJoin(channel, guild) {
+    const decision = this.voiceHandler.isSuspended(channel.id)
+      ? { allowed: true }
+      : this.autoJoinPolicy.evaluate(channel, guild);
+    if (!decision.allowed) {
+      console.log(`⏭️  Not auto-joining ${channel.name}: ${decision.reason}`);
+      return;
+    }
+
+    console.log(`🎙️  Auto-joining voice channel: ${channel.name}`);
+    try {
+      await this.voiceHandler.joinChannel(channel, guild);
+      // Find a text channel to send notification
+      const textChannel = guild.channels.cache.find(
+        ch => ch.isTextBased() && ch.permissionsFor(guild.members.me).has('SendMessages')
+      );
+      if (textChannel) {
+        await textChannel.send(`🎙️ Auto-joined **${channel.name}** - Recording started!`);
+      }
+    } catch (error) {
+      console.error('Error auto-joining channel:', error);
+    }
+  }
+
   setupCronJobs() {
     // Daily report generation
     const dailyReportTime = process.env.DAILY_REPORT_TIME || '23:00';
@@ -266,6 +326,10 @@ class VoiceTranscriptionBot {
     cron.schedule('0 0 * * 0', () => {
       console.log('🗑️  Running weekly cleanup of old recordings...');
       this.audioRecorder.cleanupOldRecordings(7);
+
+      const weekAgo = Math.floor(Date.now() / 1000) - 7 * 24 * 60 * 60;
+      const removed = this.db.deleteFinishedTranscriptionJobs(weekAgo);
+      console.log(`🗑️  Removed ${removed} finished transcription job(s)`);
     });
 
     console.log('✅ Scheduled weekly cleanup');
@@ -330,6 +394,13 @@ class VoiceTranscriptionBot {
       for (const conn of connections) {
         await this.voiceHandler.leaveChannel(conn.channel.id);
       }
+      // Sessions still waiting to reconnect end where their connection was lost
+      for (const channel of this.voiceHandler.getSuspendedChannels()) {
+        await this.voiceHandler.leaveChannel(channel.id);
+      }
+
+      // Unfinished transcription jobs stay in the database for the next start
+      this.sessionManager.transcriptionQueue.stop();
 
       // Save and close database
       if (this.dbSchema) {
@@ -357,6 +428,11 @@ class VoiceTranscriptionBot {
     this.setupEventHandlers();
     this.setupCronJobs();
 
+    // Resume transcription jobs left over from the previous run, then close the sessions it
+    // left open and queue the audio it never got to
+    this.sessionManager.transcriptionQueue.start();
+    this.recoveredSessions = await this.sessionManager.recoverSessions();
+
     this.client.login(process.env.DISCORD_TOKEN);
   }
 }
@@ -13,6 +13,7 @@ class AnalyticsEngine {
       }
 
       const transcriptions = this.db.getTranscriptions(sessionId);
+      const quarantined = this.db.getQuarantinedTranscriptions(sessionId);
       const participants = this.db.getParticipants(sessionId);
 
       // Calculate basic statistics
@@ -56,6 +57,9 @@ class AnalyticsEngine {
         ...analytics,
         session,
         transcriptions,
+        quarantined,
+        redactions: this.countRedactions(transcriptions),
+        events: this.db.getSessionEvents(sessionId),
         participants,
         speakerStats: speakerStats.all
       };
@@ -81,7 +85,7 @@ class AnalyticsEngine {
 
       stats[t.user_id].wordCount += t.word_count || 0;
       stats[t.user_id].messageCount += 1;
-      stats[t.user_id].totalDuration += t.duration || 0;
+      stats[t.user_id].totalDuration += this.getSpeakingTime(t);
     });
 
     const speakerArray = Object.values(stats);
@@ -99,9 +103,41 @@ class AnalyticsEngine {
     };
   }
 
+  // Seconds actually spent talking: the timed segments when we have them, otherwise the
+  // detected speech or, for older rows, the whole utterance
+  getSpeakingTime(transcription) {
+    let segments = [];
+    try {
+      segments = transcription.segments ? JSON.parse(transcription.segments) : [];
+    } catch (error) {
+      segments = [];
+    }
+
+    if (Array.isArray(segments) && segments.length > 0) {
+      return segments.reduce((sum, segment) => sum + Math.max(0, segment.end - segment.start), 0);
+    }
+    return transcription.voiced_duration || transcription.duration || 0;
+  }
+
+  // Redactions by category across the session, e.g. { email: 2, phone: 1 }
+  countRedactions(transcriptions) {
+    const totals = {};
+    transcriptions.forEach(t => {
+      if (!t.redactions) return;
+      try {
+        Object.entries(JSON.parse(t.redactions)).forEach(([category, count]) => {
+          totals[category] = (totals[category] || 0) + count;
+        });
+      } catch (error) {
+        // Unreadable counts are left out
+      }
+    });
+    return totals;
+  }
+
   extractKeywords(transcriptions) {
-    // Combine all transcripts
-    const allText = transcriptions.map(t => t.transcript).join(' ').toLowerCase();
+    // Combine all transcripts, without redaction tags such as [EMAIL]
+    const allText = transcriptions.map(t => t.transcript).join(' ').replace(/\[[A-Z_]+\]/g, ' ').toLowerCase();
 
     // Remove common stop words
     const stopWords = new Set([
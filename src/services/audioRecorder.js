@@ -1,13 +1,45 @@
 const { createWriteStream } = require('fs');
-const { pipeline } = require('stream');
+const { Transform } = require('stream');
 const prism = require('prism-media');
 const path = require('path');
 const fs = require('fs');
+const { EventEmitter } = require('events');
+const OggOpusWriter = require('../utils/oggOpusWriter');
 
-class AudioRecorder {
+// Storage codecs and the file extension each one is kept under
+const STORAGE_CODECS = {
+  opus: '.ogg',
+  flac: '.flac',
+  wav: '.wav'
+};
+
+class AudioRecorder extends EventEmitter {
   constructor() {
-    this.recordings = new Map(); // Map of userId -> recording stream
+    super();
+    // sessionId -> Map of userId -> recording (with its utterance segments). Keyed by session
+    // so channels recording at the same time never touch each other's speakers.
+    this.recordings = new Map();
     this.recordingsDir = path.join(process.cwd(), 'recordings');
+
+    this.storageCodec = (process.env.AUDIO_STORAGE_CODEC || 'opus').toLowerCase();
+    if (!STORAGE_CODECS[this.storageCodec]) {
+      console.warn(`⚠️  Unknown AUDIO_STORAGE_CODEC "${this.storageCodec}", using opus`);
+      this.storageCodec = 'opus';
+    }
+    // Keep Discord's Opus packets as-is instead of decoding and re-encoding them
+    this.remuxOpus = this.storageCodec === 'opus' && process.env.AUDIO_OPUS_REMUX !== 'false';
+    this.bitrate = parseInt(process.env.AUDIO_BITRATE) || 96000;
+    this.sampleRate = parseInt(process.env.AUDIO_SAMPLE_RATE) || 48000;
+
+    // Preprocessing applied to the audio sent for transcription
+    this.transcriptionAudio = {
+      sampleRate: parseInt(process.env.TRANSCRIBE_SAMPLE_RATE) || 16000,
+      channels: parseInt(process.env.TRANSCRIBE_CHANNELS) || 1,
+      loudnorm: process.env.TRANSCRIBE_LOUDNORM !== 'false',
+      noiseSuppression: (process.env.TRANSCRIBE_NOISE_SUPPRESSION || 'none').toLowerCase(), // none | afftdn | arnndn
+      rnnoiseModel: process.env.TRANSCRIBE_RNNOISE_MODEL || ''
+    };
+
     this.ensureRecordingsDir();
   }
 
@@ -17,104 +49,239 @@ class AudioRecorder {
     }
   }
 
-  startRecording(userId, username, sessionId) {
-    const timestamp = Date.now();
-    const filename = `${sessionId}_${userId}_${timestamp}.pcm`;
-    const filepath = path.join(this.recordingsDir, filename);
-
+  startRecording(userId, username, sessionId, sessionStartTime = Date.now()) {
     const recording = {
       userId,
       username,
       sessionId,
-      filename,
-      filepath,
-      startTime: timestamp,
-      stream: createWriteStream(filepath),
-      chunks: []
+      sessionStartTime,
+      startTime: Date.now(),
+      segments: [], // Completed utterances, each converted to WAV
+      currentSegment: null,
+      segmentCount: 0,
+      bytes: 0, // Audio bytes captured across all segments (PCM, or Opus packets when remuxing)
+      frames: 0, // 20ms Opus frames received across all segments
+      pending: new Set() // Segments still being written or converted
     };
 
-    this.recordings.set(userId, recording);
+    if (!this.recordings.has(sessionId)) {
+      this.recordings.set(sessionId, new Map());
+    }
+    this.recordings.get(sessionId).set(userId, recording);
     console.log(`📹 Started recording for ${username} (${userId})`);
 
     return recording;
   }
 
-  handleAudioData(userId, audioChunk) {
-    const recording = this.recordings.get(userId);
-    if (recording && recording.stream) {
-      // Log every 50 chunks to avoid spam, or if it's the first one
-      if (recording.chunks.length === 0 || recording.chunks.length % 50 === 0) {
-        console.log(`🎤 Receiving audio chunk for ${userId}: ${audioChunk.length} bytes. Total chunks: ${recording.chunks.length + 1}`);
-      }
-      recording.stream.write(audioChunk);
-      recording.chunks.push(audioChunk);
-    }
+  getRecording(sessionId, userId) {
+    const sessionRecordings = this.recordings.get(sessionId);
+    return sessionRecordings ? sessionRecordings.get(userId) || null : null;
   }
 
-  async stopRecording(userId) {
-    const recording = this.recordings.get(userId);
+  // Open a new segment for a speaking burst. Each utterance gets its own file.
+  startSegment(sessionId, userId) {
+    const recording = this.getRecording(sessionId, userId);
     if (!recording) {
       return null;
     }
 
-    return new Promise((resolve, reject) => {
-      recording.stream.end(() => {
-        recording.endTime = Date.now();
-        recording.duration = (recording.endTime - recording.startTime) / 1000; // in seconds
+    if (recording.currentSegment) {
+      return recording.currentSegment;
+    }
 
-        console.log(`⏹️  Stopped recording for ${recording.username} - Duration: ${recording.duration.toFixed(2)}s`);
+    const startTime = Date.now();
+    const extension = this.remuxOpus ? STORAGE_CODECS.opus : '.pcm';
+    const filename = `${recording.sessionId}_${userId}_${startTime}${extension}`;
+    const filepath = path.join(this.recordingsDir, filename);
 
-        this.recordings.delete(userId);
+    const segment = {
+      index: recording.segmentCount++,
+      userId,
+      username: recording.username,
+      sessionId: recording.sessionId,
+      filename,
+      filepath,
+      startTime,
+      offset: (startTime - recording.sessionStartTime) / 1000, // seconds from session start
+      bytes: 0,
+      frames: 0,
+      stream: createWriteStream(filepath)
+    };
 
-        // Convert PCM to WAV format for better compatibility with transcription services
-        this.convertToWav(recording)
-          .then(wavPath => {
-            recording.wavPath = wavPath;
-            resolve(recording);
-          })
-          .catch(reject);
+    // Settles once the file is flushed and converted, however the segment ended
+    segment.finished = new Promise((resolve, reject) => {
+      segment.stream.once('finish', () => {
+        this.finishSegment(recording, segment).then(resolve, reject);
       });
+      segment.stream.once('error', reject);
     });
+
+    recording.pending.add(segment.finished);
+    const settle = () => recording.pending.delete(segment.finished);
+    segment.finished.then(settle, settle);
+
+    recording.currentSegment = segment;
+    return segment;
   }
 
-  async convertToWav(recording) {
-    const wavFilename = recording.filename.replace('.pcm', '.wav');
-    const wavPath = path.join(this.recordingsDir, wavFilename);
+  // Capture one speaking burst straight to disk. The Opus stream is either remuxed into
+  // an Ogg file or decoded to PCM, so memory stays bounded by the stream buffers.
+  recordSegment(sessionId, userId, opusStream) {
+    const recording = this.getRecording(sessionId, userId);
+    const segment = this.startSegment(sessionId, userId);
+    if (!segment) {
+      return Promise.resolve(null);
+    }
 
-    return new Promise((resolve, reject) => {
-      const ffmpeg = require('fluent-ffmpeg');
-      const ffmpegPath = require('ffmpeg-static');
+    segment.source = opusStream;
+    segment.counter = this.createFrameCounter(recording, segment);
+
+    opusStream.on('error', (error) => {
+      console.error(`Opus stream error for user ${userId}:`, error);
+    });
+
+    if (this.remuxOpus) {
+      segment.input = segment.counter;
+      opusStream.pipe(segment.counter).pipe(new OggOpusWriter()).pipe(segment.stream);
+    } else {
+      segment.input = new prism.opus.Decoder({ rate: 48000, channels: 2, frameSize: 960 });
+      segment.input.on('error', (error) => {
+        console.error(`Audio decode error for user ${userId}:`, error);
+        // Keep what was decoded so far and close the file
+        segment.input.unpipe(segment.counter);
+        segment.counter.end();
+      });
+      opusStream.pipe(segment.input).pipe(segment.counter).pipe(segment.stream);
+    }
+
+    return segment.finished;
+  }
+
+  // Pass-through that keeps the byte and frame counters for a segment and its recording
+  createFrameCounter(recording, segment) {
+    return new Transform({
+      objectMode: true,
+      transform(chunk, encoding, callback) {
+        if (segment.frames === 0) {
+          console.log(`🎤 Receiving audio for ${recording.username} (utterance ${segment.index})`);
+        }
+        segment.bytes += chunk.length;
+        segment.frames += 1;
+        recording.bytes += chunk.length;
+        recording.frames += 1;
+        callback(null, chunk);
+      },
+      flush(callback) {
+        // Input is done; a new speaking burst may open the next segment
+        if (recording.currentSegment === segment) {
+          recording.currentSegment = null;
+        }
+        callback();
+      }
+    });
+  }
+
+  // Close the current segment early, e.g. when the recording stops mid-utterance
+  endSegment(sessionId, userId) {
+    const recording = this.getRecording(sessionId, userId);
+    if (!recording || !recording.currentSegment) {
+      return Promise.resolve(null);
+    }
+
+    const segment = recording.currentSegment;
+    recording.currentSegment = null;
+
+    if (segment.source) {
+      segment.source.unpipe(segment.input);
+      segment.source.destroy();
+      segment.input.end();
+    } else {
+      segment.stream.end();
+    }
+
+    return segment.finished;
+  }
+
+  async finishSegment(recording, segment) {
+    // Drop the stream references so a finished segment is plain metadata
+    delete segment.source;
+    delete segment.input;
+    delete segment.counter;
+    delete segment.stream;
+
+    segment.endTime = Date.now();
+    segment.duration = segment.frames * 0.02; // seconds of captured audio
+    segment.endOffset = (segment.endTime - recording.sessionStartTime) / 1000;
+
+    if (segment.bytes === 0) {
+      // Speaking event without any audio, nothing to keep
+      fs.unlink(segment.filepath, (err) => {
+        if (err) console.error('Error deleting empty segment:', err);
+      });
+      return null;
+    }
 
-      console.log('ffmpeg path:', ffmpegPath);
-      if (!fs.existsSync(ffmpegPath)) {
-        console.error('❌ FFmpeg binary not found at:', ffmpegPath);
-        return reject(new Error('FFmpeg binary not found'));
+    segment.codec = this.storageCodec;
+    segment.audioPath = this.remuxOpus ? segment.filepath : await this.encodeSegment(segment);
+    recording.segments.push(segment);
+
+    // Lets the session transcribe utterances while the recording is still running
+    this.emit('segmentComplete', segment);
+    return segment;
+  }
+
+  async stopRecording(sessionId, userId) {
+    const recording = this.getRecording(sessionId, userId);
+    if (!recording) {
+      return null;
+    }
+
+    // Close whatever the user was saying when the recording stopped
+    this.endSegment(sessionId, userId).catch(() => {});
+    await Promise.allSettled(Array.from(recording.pending));
+
+    // The user may have rejoined the session (a new recording) while this one was stopping
+    const sessionRecordings = this.recordings.get(sessionId);
+    if (sessionRecordings && sessionRecordings.get(userId) === recording) {
+      sessionRecordings.delete(userId);
+      if (sessionRecordings.size === 0) {
+        this.recordings.delete(sessionId);
       }
+    }
+
+    recording.endTime = Date.now();
+    recording.duration = (recording.endTime - recording.startTime) / 1000; // in seconds
+    recording.segments.sort((a, b) => a.startTime - b.startTime);
+
+    console.log(`⏹️  Stopped recording for ${recording.username} - Duration: ${recording.duration.toFixed(2)}s, ${recording.segments.length} utterance(s)`);
+
+    return recording;
+  }
 
-      ffmpeg.setFfmpegPath(ffmpegPath);
+  getFfmpeg() {
+    const ffmpeg = require('fluent-ffmpeg');
+    const ffmpegPath = require('ffmpeg-static');
+
+    if (!ffmpegPath || !fs.existsSync(ffmpegPath)) {
+      console.error('❌ FFmpeg binary not found at:', ffmpegPath);
+      throw new Error('FFmpeg binary not found');
+    }
 
+    ffmpeg.setFfmpegPath(ffmpegPath);
+    return ffmpeg;
+  }
+
+  // Run a single ffmpeg conversion; `configure` adds input/output options to the command
+  transcode(inputPath, outputPath, configure) {
+    return new Promise((resolve, reject) => {
       try {
-        ffmpeg()
-          .input(recording.filepath)
-          .inputFormat('s16le') // PCM 16-bit little-endian
-          .inputOptions([
-            '-ar 48000', // Sample rate
-            '-ac 2'      // Stereo
-          ])
-          .output(wavPath)
-          .audioCodec('pcm_s16le')
-          .on('end', () => {
-            console.log(`✅ Converted ${recording.filename} to WAV format`);
-            // Delete the PCM file to save space
-            fs.unlink(recording.filepath, (err) => {
-              if (err) console.error('Error deleting PCM file:', err);
-            });
-            resolve(wavPath);
-          })
-          .on('error', (err) => {
-            console.error('Error converting to WAV:', err);
-            reject(err);
-          })
+        const command = this.getFfmpeg()().input(inputPath);
+        configure(command);
+
+        command
+          .output(outputPath)
+          .on('end', () => resolve(outputPath))
+          .on('error', (err) => reject(err))
           .run();
       } catch (error) {
         console.error('Error initializing FFmpeg:', error);
@@ -123,18 +290,201 @@ class AudioRecorder {
     });
   }
 
+  // Encode a finished PCM segment into the configured storage codec
+  async encodeSegment(segment) {
+    const outputPath = segment.filepath.replace(/\.pcm$/, STORAGE_CODECS[this.storageCodec]);
+
+    try {
+      await this.transcode(segment.filepath, outputPath, command => {
+        command
+          .inputFormat('s16le') // PCM 16-bit little-endian
+          .inputOptions([
+            '-ar 48000', // Discord decodes at 48kHz
+            '-ac 2'      // Stereo
+          ]);
+
+        if (this.storageCodec === 'opus') {
+          command.audioCodec('libopus').audioBitrate(Math.round(this.bitrate / 1000));
+        } else if (this.storageCodec === 'flac') {
+          command.audioCodec('flac').audioFrequency(this.sampleRate);
+        } else {
+          command.audioCodec('pcm_s16le').audioFrequency(this.sampleRate);
+        }
+      });
+    } catch (error) {
+      console.error(`Error encoding ${segment.filename} as ${this.storageCodec}:`, error);
+      throw error;
+    }
+
+    console.log(`✅ Encoded ${segment.filename} as ${this.storageCodec}`);
+    // Delete the PCM file to save space
+    fs.unlink(segment.filepath, (err) => {
+      if (err) console.error('Error deleting PCM file:', err);
+    });
+
+    return outputPath;
+  }
+
+  // Build a WAV derivative of a stored segment for the transcription service: downmixed,
+  // resampled, loudness-normalized and optionally denoised. The caller removes it once
+  // transcription is done; the stored file is kept. options.sampleRate overrides
+  // TRANSCRIBE_SAMPLE_RATE for providers that only accept one rate.
+  async prepareForTranscription(audioPath, options = {}) {
+    const outputPath = audioPath.replace(/\.[^.]+$/, '.transcribe.wav');
+    const { channels } = this.transcriptionAudio;
+    const sampleRate = options.sampleRate || this.transcriptionAudio.sampleRate;
+    const filters = this.buildTranscriptionFilters();
+
+    try {
+      await this.transcode(audioPath, outputPath, command => {
+        if (filters.length > 0) {
+          command.audioFilters(filters);
+        }
+        command
+          .audioChannels(channels)
+          .audioFrequency(sampleRate)
+          .audioCodec('pcm_s16le');
+      });
+    } catch (error) {
+      console.error('Error preparing audio for transcription:', error);
+      throw error;
+    }
+
+    return outputPath;
+  }
+
+  buildTranscriptionFilters() {
+    const { noiseSuppression, rnnoiseModel, loudnorm } = this.transcriptionAudio;
+    const filters = [];
+
+    // Noise suppression runs first so normalization doesn't boost the noise floor
+    if (noiseSuppression === 'arnndn') {
+      if (rnnoiseModel && fs.existsSync(rnnoiseModel)) {
+        filters.push(`arnndn=m=${rnnoiseModel}`);
+      } else {
+        console.warn('⚠️  TRANSCRIBE_RNNOISE_MODEL not found, using afftdn instead of arnndn');
+        filters.push('afftdn=nf=-25');
+      }
+    } else if (noiseSuppression === 'afftdn') {
+      filters.push('afftdn=nf=-25');
+    }
+
+    if (loudnorm) {
+      filters.push('loudnorm=I=-16:TP=-1.5:LRA=11');
+    }
+
+    return filters;
+  }
+
+  // Segment files left in the recordings directory for the given sessions, e.g. by a crash.
+  // Files are named <sessionId>_<userId>_<startTime>.<ext>; transcription derivatives are
+  // temporary and removed.
+  findSessionFiles(sessionIds) {
+    const files = [];
+
+    for (const filename of fs.readdirSync(this.recordingsDir)) {
+      const match = filename.match(/^(.+)_(\d+)_(\d+)(\.transcribe)?\.(pcm|ogg|flac|wav)$/);
+      if (!match || !sessionIds.includes(match[1])) continue;
+
+      const filepath = path.join(this.recordingsDir, filename);
+      if (match[4]) {
+        fs.unlink(filepath, (err) => {
+          if (err) console.error('Error deleting transcription derivative:', err);
+        });
+        continue;
+      }
+
+      const stats = fs.statSync(filepath);
+      files.push({
+        sessionId: match[1],
+        userId: match[2],
+        startTime: parseInt(match[3]),
+        filename,
+        filepath,
+        size: stats.size,
+        mtimeMs: stats.mtimeMs
+      });
+    }
+
+    return files.sort((a, b) => a.startTime - b.startTime);
+  }
+
+  // Rebuild a finished segment from a file that was never converted or queued. PCM is
+  // encoded into the storage codec; an Ogg file that was being remuxed is used as it is.
+  // The end time is the file's last write. Returns null (and removes the file) when it's empty.
+  async recoverSegment(file, { index, username, sessionStartTime }) {
+    if (file.size === 0) {
+      fs.unlink(file.filepath, (err) => {
+        if (err) console.error('Error deleting empty segment:', err);
+      });
+      return null;
+    }
+
+    const extension = path.extname(file.filename);
+    const segment = {
+      index,
+      userId: file.userId,
+      username,
+      sessionId: file.sessionId,
+      filename: file.filename,
+      filepath: file.filepath,
+      startTime: file.startTime,
+      endTime: Math.max(file.startTime, Math.round(file.mtimeMs)),
+      offset: (file.startTime - sessionStartTime) / 1000,
+      bytes: file.size,
+      codec: extension === '.pcm' ? this.storageCodec : Object.keys(STORAGE_CODECS).find(codec => STORAGE_CODECS[codec] === extension)
+    };
+    segment.endOffset = (segment.endTime - sessionStartTime) / 1000;
+    // 48kHz 16-bit stereo PCM has an exact length; other files only have their timestamps
+    segment.duration = extension === '.pcm'
+      ? file.size / (48000 * 2 * 2)
+      : (segment.endTime - segment.startTime) / 1000;
+
+    if (extension === '.pcm') {
+      segment.audioPath = await this.encodeSegment(segment);
+    } else {
+      // A fresh modification time keeps cleanupOldRecordings off it until it's transcribed
+      const now = new Date();
+      fs.utimesSync(file.filepath, now, now);
+      segment.audioPath = file.filepath;
+    }
+    return segment;
+  }
+
+  // Stop every recording of one session; other sessions keep recording
+  stopSessionRecordings(sessionId) {
+    const sessionRecordings = this.recordings.get(sessionId);
+    const userIds = sessionRecordings ? Array.from(sessionRecordings.keys()) : [];
+    return Promise.all(userIds.map(userId => this.stopRecording(sessionId, userId)));
+  }
+
   stopAllRecordings() {
-    const recordings = Array.from(this.recordings.keys());
-    const promises = recordings.map(userId => this.stopRecording(userId));
-    return Promise.all(promises);
+    const sessionIds = Array.from(this.recordings.keys());
+    return Promise.all(sessionIds.map(sessionId => this.stopSessionRecordings(sessionId))).then(results => results.flat());
   }
 
-  getActiveRecordings() {
-    return Array.from(this.recordings.values());
+  // Recordings still running, for one session or all of them
+  getActiveRecordings(sessionId = null) {
+    const sessions = sessionId ? [this.recordings.get(sessionId)].filter(Boolean) : Array.from(this.recordings.values());
+    return sessions.flatMap(sessionRecordings => Array.from(sessionRecordings.values()));
+  }
+
+  getRecordingStats(sessionId, userId) {
+    const recording = this.getRecording(sessionId, userId);
+    if (!recording) {
+      return null;
+    }
+
+    return {
+      bytes: recording.bytes,
+      frames: recording.frames,
+      audioSeconds: recording.frames * 0.02,
+      segments: recording.segmentCount
+    };
   }
 
-  isRecording(userId) {
-    return this.recordings.has(userId);
+  isRecording(sessionId, userId) {
+    return this.getRecording(sessionId, userId) !== null;
   }
 
   cleanupOldRecordings(daysOld = 7) {
@@ -0,0 +1,148 @@
+// Decides whether the bot joins a voice channel on its own when people gather in it. Each
+// server can limit auto-join to some channels or categories (or keep it out of them), wait
+// for a minimum number of people, only join at certain hours and on certain days, and stay
+// out of the AFK and private channels. The environment provides the defaults; !join always
+// works regardless of these rules.
+const { PermissionFlagsBits } = require('discord.js');
+
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const DAY_GROUPS = {
+  weekdays: ['mon', 'tue', 'wed', 'thu', 'fri'],
+  weekends: ['sat', 'sun']
+};
+
+// Guild settings holding the rules; lists are stored as JSON arrays of ids
+const SETTINGS = [
+  'autojoin_enabled',
+  'autojoin_allow',
+  'autojoin_deny',
+  'autojoin_min_members',
+  'autojoin_hours',
+  'autojoin_days',
+  'autojoin_skip_afk',
+  'autojoin_skip_private'
+];
+
+class AutoJoinPolicy {
+  constructor(dbQueries) {
+    this.db = dbQueries;
+    this.defaultEnabled = process.env.AUTO_JOIN_ENABLED !== 'false';
+    this.defaultMinMembers = parseInt(process.env.AUTO_JOIN_MIN_MEMBERS) || 1;
+    this.defaultHours = this.parseHours(process.env.AUTO_JOIN_HOURS || '');
+    this.defaultDays = this.parseDays(process.env.AUTO_JOIN_DAYS || '');
+    this.defaultSkipAfk = process.env.AUTO_JOIN_SKIP_AFK !== 'false';
+    this.defaultSkipPrivate = process.env.AUTO_JOIN_SKIP_PRIVATE === 'true';
+  }
+
+  static get settings() {
+    return SETTINGS;
+  }
+
+  static get days() {
+    return DAYS;
+  }
+
+  // "09:00-17:30" -> { start: 540, end: 1050 } in minutes after midnight; null for any time.
+  // A window may run past midnight ("22:00-02:00").
+  parseHours(value) {
+    const match = value.trim().match(/^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/);
+    if (!match) return null;
+
+    const [hourStart, minuteStart, hourEnd, minuteEnd] = match.slice(1).map(Number);
+    if (hourStart > 23 || hourEnd > 24 || minuteStart > 59 || minuteEnd > 59) return null;
+
+    const start = hourStart * 60 + minuteStart;
+    const end = hourEnd * 60 + minuteEnd;
+    return start === end ? null : { start, end };
+  }
+
+  // "mon,wed,fri", "weekdays" or "weekends" -> day names; null for every day
+  parseDays(value) {
+    const days = value.toLowerCase().split(/[\s,]+/).filter(Boolean)
+      .flatMap(day => DAY_GROUPS[day] || [day.slice(0, 3)])
+      .filter(day => DAYS.includes(day));
+    return days.length > 0 ? [...new Set(days)] : null;
+  }
+
+  formatHours(hours) {
+    const format = minutes => `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+    return hours ? `${format(hours.start)}-${format(hours.end)}` : 'any time';
+  }
+
+  // The server's rules: its own settings where it has them, the environment's otherwise
+  getRules(guildId) {
+    const setting = name => this.db.getGuildSetting(guildId, name);
+    const enabled = setting('autojoin_enabled');
+    const allow = setting('autojoin_allow');
+    const deny = setting('autojoin_deny');
+    const minMembers = setting('autojoin_min_members');
+    const hours = setting('autojoin_hours');
+    const days = setting('autojoin_days');
+    const skipAfk = setting('autojoin_skip_afk');
+    const skipPrivate = setting('autojoin_skip_private');
+
+    return {
+      enabled: enabled !== null ? enabled === 'true' : this.defaultEnabled,
+      allow: allow ? JSON.parse(allow) : [],
+      deny: deny ? JSON.parse(deny) : [],
+      minMembers: minMembers !== null ? parseInt(minMembers) || 1 : this.defaultMinMembers,
+      hours: hours !== null ? this.parseHours(hours) : this.defaultHours,
+      days: days !== null ? this.parseDays(days) : this.defaultDays,
+      skipAfk: skipAfk !== null ? skipAfk === 'true' : this.defaultSkipAfk,
+      skipPrivate: skipPrivate !== null ? skipPrivate === 'true' : this.defaultSkipPrivate
+    };
+  }
+
+  // { allowed, reason } for auto-joining the channel now. Allow and deny lists hold channel
+  // and category ids; a denied channel or category always wins, and once anything is
+  // allowed, only what is allowed is joined.
+  evaluate(channel, guild, now = new Date()) {
+    const rules = this.getRules(guild.id);
+    const ids = [channel.id, channel.parentId].filter(Boolean);
+
+    if (!rules.enabled) {
+      return { allowed: false, reason: 'auto-join is turned off' };
+    }
+    if (rules.skipAfk && guild.afkChannelId === channel.id) {
+      return { allowed: false, reason: 'it is the AFK channel' };
+    }
+    if (rules.skipPrivate && this.isPrivate(channel, guild)) {
+      return { allowed: false, reason: 'it is a private channel' };
+    }
+    if (ids.some(id => rules.deny.includes(id))) {
+      return { allowed: false, reason: 'the channel or its category is on the deny list' };
+    }
+    if (rules.allow.length > 0 && !ids.some(id => rules.allow.includes(id))) {
+      return { allowed: false, reason: 'the channel and its category are not on the allow list' };
+    }
+
+    const members = channel.members.filter(member => !member.user.bot).size;
+    if (members < rules.minMembers) {
+      return { allowed: false, reason: `${members} of the ${rules.minMembers} people needed are in the channel` };
+    }
+
+    if (rules.days && !rules.days.includes(DAYS[now.getDay()])) {
+      return { allowed: false, reason: `auto-join only runs on ${rules.days.join(', ')}` };
+    }
+    if (rules.hours && !this.isWithinHours(rules.hours, now)) {
+      return { allowed: false, reason: `auto-join only runs ${this.formatHours(rules.hours)}` };
+    }
+
+    return { allowed: true, reason: null };
+  }
+
+  isWithinHours(hours, now) {
+    const minutes = now.getHours() * 60 + now.getMinutes();
+    return hours.start < hours.end
+      ? minutes >= hours.start && minutes < hours.end
+      : minutes >= hours.start || minutes < hours.end;
+  }
+
+  // Channels @everyone can't see
+  isPrivate(channel, guild) {
+    const permissions = channel.permissionsFor(guild.roles.everyone);
+    return Boolean(permissions) && !permissions.has(PermissionFlagsBits.ViewChannel);
+  }
+}
+
+module.exports = AutoJoinPolicy;
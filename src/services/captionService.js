@@ -0,0 +1,123 @@
+// Posts each transcribed utterance to a text channel (or an auto-created thread) while the
+// voice session is running. Lines are batched and appended to the last message by editing
+// it, so a busy channel costs one API call per flush rather than one per utterance.
+class CaptionService {
+  constructor(dbQueries, reportGenerator) {
+    this.db = dbQueries;
+    this.reportGenerator = reportGenerator;
+    this.flushInterval = parseInt(process.env.CAPTION_FLUSH_INTERVAL_MS) || 3000;
+    this.maxMessageLength = 1900;
+    this.live = new Map(); // sessionId -> caption state
+  }
+
+  async startSession({ sessionId, channel, guild }) {
+    const settings = this.db.getCaptionSettings(channel.id);
+    if (!settings || !settings.enabled || this.live.has(sessionId)) {
+      return;
+    }
+
+    try {
+      let target = guild.channels.cache.get(settings.text_channel_id);
+      if (!target || !target.isTextBased()) {
+        console.warn(`⚠️  Caption channel ${settings.text_channel_id} not found for ${channel.name}`);
+        return;
+      }
+
+      if (settings.use_thread) {
+        const date = new Date().toISOString().split('T')[0];
+        target = await target.threads.create({
+          name: `Captions · ${channel.name} · ${date}`,
+          autoArchiveDuration: 60,
+          reason: 'Live captions for voice session'
+        });
+      }
+
+      this.live.set(sessionId, {
+        target,
+        channelName: channel.name,
+        buffer: [],
+        lastMessage: null,
+        timer: null,
+        flushing: Promise.resolve()
+      });
+
+      await target.send(`🔴 Live captions for **${channel.name}** started`);
+      console.log(`💬 Live captions for ${channel.name} posting to #${target.name}`);
+    } catch (error) {
+      console.error('Error starting live captions:', error);
+    }
+  }
+
+  addCaption(transcription) {
+    const state = this.live.get(transcription.session_id);
+    if (!state) return;
+
+    const offset = transcription.start_offset !== null && transcription.start_offset !== undefined
+      ? this.reportGenerator.formatOffset(transcription.start_offset)
+      : new Date(transcription.timestamp * 1000).toLocaleTimeString();
+
+    let line = `\`[${offset}]\` **${transcription.username}:** ${transcription.transcript}`;
+    if (transcription.translation) {
+      line += `\n> ${transcription.translation}`;
+    }
+    if (line.length > this.maxMessageLength) {
+      line = line.slice(0, this.maxMessageLength - 1) + '…';
+    }
+
+    state.buffer.push(line);
+    if (!state.timer) {
+      state.timer = setTimeout(() => this.flush(transcription.session_id), this.flushInterval);
+    }
+  }
+
+  flush(sessionId) {
+    const state = this.live.get(sessionId);
+    if (!state) return Promise.resolve();
+
+    clearTimeout(state.timer);
+    state.timer = null;
+
+    // Flushes run one after another so edits never race each other
+    state.flushing = state.flushing.then(() => this.postLines(state)).catch(error => {
+      console.error('Error posting live captions:', error);
+    });
+    return state.flushing;
+  }
+
+  async postLines(state) {
+    while (state.buffer.length > 0) {
+      const line = state.buffer.shift();
+      const last = state.lastMessage;
+
+      // Append to the previous caption message while it has room
+      if (last && last.content.length + line.length + 1 <= this.maxMessageLength) {
+        state.lastMessage = await last.edit(`${last.content}\n${line}`);
+      } else {
+        state.lastMessage = await state.target.send(line);
+      }
+    }
+  }
+
+  async endSession(sessionId) {
+    const state = this.live.get(sessionId);
+    if (!state) return;
+
+    await this.flush(sessionId);
+    this.live.delete(sessionId);
+
+    try {
+      await state.target.send(`⏹️ Live captions for **${state.channelName}** ended`);
+      if (state.target.isThread()) {
+        await state.target.setArchived(true);
+      }
+    } catch (error) {
+      console.error('Error closing live captions:', error);
+    }
+  }
+
+  isLive(sessionId) {
+    return this.live.has(sessionId);
+  }
+}
+
+module.exports = CaptionService;
@@ -0,0 +1,33 @@
+// Whether a user's audio may be captured. Users opt out (or in) per server with !optout and
+// !optin, and their choice is kept across sessions. A server can require explicit opt-in,
+// in which case users who haven't opted in are listed as present but never recorded.
+class ConsentService {
+  constructor(dbQueries) {
+    this.db = dbQueries;
+    this.defaultRequired = process.env.CONSENT_REQUIRED === 'true';
+  }
+
+  // Whether the guild only records users who opted in
+  isRequired(guildId) {
+    const required = this.db.getGuildSetting(guildId, 'consent_required');
+    return required !== null ? required === 'true' : this.defaultRequired;
+  }
+
+  // 'in', 'out', or null when the user hasn't said
+  getConsent(guildId, userId) {
+    return this.db.getRecordingConsent(guildId, userId);
+  }
+
+  setConsent(guildId, userId, consent) {
+    this.db.setRecordingConsent(guildId, userId, consent);
+  }
+
+  canRecord(guildId, userId) {
+    const consent = this.getConsent(guildId, userId);
+    if (consent === 'out') return false;
+    if (consent === 'in') return true;
+    return !this.isRequired(guildId);
+  }
+}
+
+module.exports = ConsentService;
@@ -0,0 +1,172 @@
+// Removes personal information and profanity from transcripts before they are stored, so
+// report channels never see them. Each server picks its categories and masking mode; the
+// environment provides the defaults. Modes:
+//   mask    - the whole match is blocked out:       ██████
+//   partial - enough is kept to tell matches apart: j***@example.com, ***-***-1234, f***
+//   tag     - the match is replaced by its category: [EMAIL]
+
+const CATEGORIES = {
+  email: {
+    tag: 'EMAIL',
+    patterns: [
+      /[\p{L}\p{N}._%+-]+@[\p{L}\p{N}-]+(?:\.[\p{L}\p{N}-]+)+/gu,
+      // How addresses come out of speech: "john dot smith at gmail dot com"
+      /\b[a-z0-9]+(?:\s+dot\s+[a-z0-9]+)*\s+at\s+[a-z0-9-]+(?:\s+dot\s+[a-z0-9-]+)*\s+dot\s+(?:com|net|org|edu|gov|io|co|uk|de|fr|ca|au)\b/gi
+    ],
+    partial: match => {
+      const at = match.search(/@|\s+at\s+/i);
+      return at > 0 ? `${match[0]}***${match.slice(at)}` : maskAll(match);
+    }
+  },
+  credit_card: {
+    tag: 'CARD',
+    patterns: [/(?<!\d)(?:\d[ -]?){12,18}\d(?!\d)/g],
+    validate: match => luhn(match.replace(/\D/g, '')),
+    partial: match => `****-${match.replace(/\D/g, '').slice(-4)}`
+  },
+  phone: {
+    tag: 'PHONE',
+    patterns: [/(?<![\d\p{L}])(?:\+\d{1,3}[\s.-]?)?(?:\(\d{2,4}\)[\s.-]?)?\d{2,4}(?:[\s.-]?\d{2,4}){1,3}(?![\d\p{L}])/gu],
+    // Needs enough digits to be a number and not a year, a score or a time
+    validate: match => match.replace(/\D/g, '').length >= 7,
+    partial: match => `***-***-${match.replace(/\D/g, '').slice(-4)}`
+  },
+  address: {
+    tag: 'ADDRESS',
+    // A house number and a capitalized street name, so "2 hours to drive" isn't an address
+    patterns: [/\b\d{1,5}\s+(?:\p{Lu}[\p{L}'-]*\s+){1,3}(?:Street|St|Avenue|Ave|Road|Rd|Boulevard|Blvd|Lane|Ln|Drive|Dr|Court|Ct|Way|Place|Pl|Terrace|Crescent|Close)\b/gu],
+    partial: match => match.replace(/^\d+/, '***')
+  },
+  profanity: {
+    tag: 'PROFANITY',
+    patterns: [], // built from the word list
+    partial: match => `${match[0]}${'*'.repeat(match.length - 1)}`
+  }
+};
+
+// Checked in this order so a card number is never half-claimed as a phone number
+const CATEGORY_ORDER = ['email', 'credit_card', 'phone', 'address', 'profanity'];
+const MODES = ['mask', 'partial', 'tag'];
+
+const DEFAULT_PROFANITY = [
+  'fuck', 'fucking', 'fucker', 'fucked', 'motherfucker', 'shit', 'shitty', 'bullshit',
+  'bitch', 'bastard', 'asshole', 'dick', 'dickhead', 'cunt', 'prick', 'twat', 'wanker',
+  'bollocks', 'slut', 'whore', 'retard', 'retarded'
+];
+
+function maskAll(match) {
+  return '█'.repeat(Math.min(match.length, 12));
+}
+
+function luhn(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+class RedactionService {
+  constructor(dbQueries) {
+    this.db = dbQueries;
+    this.defaultCategories = this.parseCategories(process.env.REDACTION_CATEGORIES || '');
+    this.defaultMode = MODES.includes(process.env.REDACTION_MODE) ? process.env.REDACTION_MODE : 'tag';
+    this.defaultKeepOriginal = process.env.REDACTION_KEEP_ORIGINAL === 'true';
+    this.profanity = [
+      ...DEFAULT_PROFANITY,
+      ...(process.env.REDACTION_EXTRA_WORDS || '').split(',').map(word => word.trim()).filter(Boolean)
+    ];
+  }
+
+  static get categories() {
+    return CATEGORY_ORDER;
+  }
+
+  static get modes() {
+    return MODES;
+  }
+
+  parseCategories(value) {
+    if (value === 'all') return [...CATEGORY_ORDER];
+    return value.split(',').map(name => name.trim().toLowerCase()).filter(name => CATEGORIES[name]);
+  }
+
+  // The server's rule set: its own settings where it has them, the environment's otherwise
+  getRules(guildId) {
+    const setting = name => (guildId ? this.db.getGuildSetting(guildId, name) : null);
+    const categories = setting('redaction_categories');
+    const mode = setting('redaction_mode');
+    const keepOriginal = setting('redaction_keep_original');
+    const words = setting('redaction_words');
+
+    return {
+      categories: categories !== null ? this.parseCategories(categories) : this.defaultCategories,
+      mode: MODES.includes(mode) ? mode : this.defaultMode,
+      keepOriginal: keepOriginal !== null ? keepOriginal === 'true' : this.defaultKeepOriginal,
+      words: words ? JSON.parse(words) : []
+    };
+  }
+
+  getRulesForSession(sessionId) {
+    const session = this.db.findSessionById(sessionId);
+    return this.getRules(session ? session.guild_id : null);
+  }
+
+  isEnabled(rules) {
+    return rules.categories.length > 0 || rules.words.length > 0;
+  }
+
+  // Returns { text, counts } where counts maps category -> number of redactions.
+  // Server words are redacted as profanity whether or not the category is on.
+  redact(text, rules) {
+    const counts = {};
+    if (!text || !this.isEnabled(rules)) {
+      return { text, counts };
+    }
+
+    let result = text;
+    for (const name of CATEGORY_ORDER) {
+      const category = CATEGORIES[name];
+      const patterns = name === 'profanity'
+        ? this.getWordPatterns(rules.categories.includes('profanity') ? [...this.profanity, ...rules.words] : rules.words)
+        : rules.categories.includes(name) ? category.patterns : [];
+
+      for (const pattern of patterns) {
+        result = result.replace(pattern, match => {
+          if (category.validate && !category.validate(match)) return match;
+          counts[name] = (counts[name] || 0) + 1;
+          return this.replace(match, name, rules.mode);
+        });
+      }
+    }
+
+    return { text: result, counts };
+  }
+
+  replace(match, name, mode) {
+    if (mode === 'tag') return `[${CATEGORIES[name].tag}]`;
+    if (mode === 'partial') return CATEGORIES[name].partial(match);
+    return maskAll(match);
+  }
+
+  // Whole words, also when followed by a plural or other common ending
+  getWordPatterns(words) {
+    if (words.length === 0) return [];
+    const alternatives = [...new Set(words.map(word => word.toLowerCase()))]
+      .sort((a, b) => b.length - a.length)
+      .map(escapeRegExp)
+      .join('|');
+    return [new RegExp(`(?<![\\p{L}\\p{N}])(?:${alternatives})(?:s|es|ed|ing)?(?![\\p{L}\\p{N}])`, 'giu')];
+  }
+}
+
+module.exports = RedactionService;
@@ -12,7 +12,9 @@ class ReportGenerator {
     const embed = new EmbedBuilder()
       .setColor(0x0099FF)
       .setTitle('📊 Voice Session Report')
-      .setDescription(`Session ended in **${session.channel_name}**`)
+      .setDescription(session.status === 'recovered'
+        ? `Session in **${session.channel_name}** was recovered after the bot stopped unexpectedly. The end time is estimated and the last moments may be missing.`
+        : `Session ended in **${session.channel_name}**`)
       .addFields(
         {
           name: '⏱️ Duration',
@@ -37,7 +39,7 @@ class ReportGenerator {
       const topSpeakers = speakerStats
         .sort((a, b) => b.wordCount - a.wordCount)
         .slice(0, 5)
-        .map((s, i) => `${i + 1}. **${s.username}**: ${s.wordCount} words (${s.messageCount} segments)`)
+        .map((s, i) => `${i + 1}. **${s.username}**: ${s.wordCount} words in ${this.formatDuration(s.totalDuration)} (${s.messageCount} utterances)`)
         .join('\n');
 
       embed.addFields({
@@ -72,6 +74,46 @@ class ReportGenerator {
       inline: true
     });
 
+    // Output the transcript filter kept out of this report
+    if (analysisData.quarantined && analysisData.quarantined.length > 0) {
+      embed.addFields({
+        name: '🚩 Quarantined',
+        value: `${analysisData.quarantined.length} transcription(s) flagged as likely model errors and left out`,
+        inline: true
+      });
+    }
+
+    // People in the session who never consented to being recorded
+    const recordedUsers = new Set((participants || []).filter(p => p.recorded !== 0).map(p => p.user_id));
+    const notRecorded = new Map((participants || []).filter(p => !recordedUsers.has(p.user_id)).map(p => [p.user_id, p.username]));
+    if (notRecorded.size > 0) {
+      embed.addFields({
+        name: '🙈 Present, not recorded',
+        value: Array.from(notRecorded.values()).join(', ').slice(0, 1024)
+      });
+    }
+
+    // Time the bot spent out of the channel before it got its voice connection back
+    const gaps = (analysisData.events || []).filter(event => event.event_type === 'gap' && event.ended_at);
+    if (gaps.length > 0) {
+      const lost = gaps.reduce((sum, gap) => sum + (gap.ended_at - gap.started_at), 0);
+      embed.addFields({
+        name: '🔌 Interruptions',
+        value: `${gaps.length} reconnect gap(s), ${this.formatDuration(lost)} not recorded`,
+        inline: true
+      });
+    }
+
+    // What redaction removed from the transcript
+    const redactions = Object.entries(analysisData.redactions || {});
+    if (redactions.length > 0) {
+      embed.addFields({
+        name: '🛡️ Redacted',
+        value: redactions.map(([category, count]) => `${count} ${category.replace(/_/g, ' ')}`).join(', '),
+        inline: true
+      });
+    }
+
     // Add session info
     embed.setFooter({
       text: `Session ID: ${session.session_id}`
@@ -80,21 +122,134 @@ class ReportGenerator {
     return embed;
   }
 
-  generateTranscriptText(transcriptions) {
+  // mode: 'original', 'translation' (falling back to the original where there is none) or
+  // 'bilingual', a side-by-side table of both. unredacted shows the original text where the
+  // guild kept it; it is for admins only. events (session_events rows) mark gaps in the timeline.
+  generateTranscriptText(transcriptions, session = null, { mode = 'original', unredacted = false, events = [] } = {}) {
     if (!transcriptions || transcriptions.length === 0) {
       return '> No transcriptions available for this session.';
     }
 
     let transcript = '# 📝 Session Transcript\n\n';
+    if (session && session.status === 'recovered') {
+      transcript += '> Recovered after the bot stopped unexpectedly; the end of the session may be missing.\n\n';
+    }
 
-    transcriptions.forEach((t, index) => {
-      const timestamp = new Date(t.timestamp * 1000).toLocaleTimeString();
-      transcript += `**[${timestamp}] ${t.username}:**\n${t.transcript}\n\n`;
+    // Lines from every speaker, in the order they were said. Utterances with timed segments
+    // are split at them so overlapping speakers interleave correctly; translations only
+    // exist per utterance, so translated modes keep utterances whole (as does unredacted text).
+    const lines = [];
+    transcriptions.forEach(t => {
+      const segments = mode === 'original' && !unredacted ? this.getSegments(t) : [];
+      if (segments.length > 1) {
+        segments.forEach(segment => lines.push({ transcription: t, offset: segment.start, timestamp: t.timestamp, text: segment.text }));
+      } else {
+        lines.push({
+          transcription: t,
+          offset: this.getUtteranceOffset(t, session),
+          timestamp: t.timestamp,
+          text: (unredacted && t.unredacted_transcript) || t.transcript,
+          translation: t.translation || t.transcript
+        });
+      }
+    });
+    if (session && session.start_time) {
+      events.filter(event => event.event_type === 'gap').forEach(gap => {
+        lines.push({ gap, offset: gap.started_at - session.start_time, timestamp: gap.started_at });
+      });
+    }
+    // By offset when every line has one, otherwise by when it was recorded; unknown offsets
+    // can't be compared
+    const timed = lines.every(line => Number.isFinite(line.offset));
+    lines.sort((a, b) => (timed ? a.offset - b.offset : (a.timestamp || 0) - (b.timestamp || 0)));
+
+    // Consecutive lines from the same speaker read better as one
+    const merged = [];
+    lines.forEach(line => {
+      const previous = merged[merged.length - 1];
+      if (previous && previous.transcription && line.transcription &&
+          previous.transcription.user_id === line.transcription.user_id) {
+        previous.text += ` ${line.text}`;
+        if (line.translation) previous.translation += ` ${line.translation}`;
+      } else {
+        merged.push({ ...line });
+      }
+    });
+
+    if (mode === 'bilingual') {
+      transcript += '| Time | Speaker | Original | Translation |\n|---|---|---|---|\n';
+    }
+
+    merged.forEach(({ transcription: t, gap, offset, text, translation }) => {
+      if (gap) {
+        const marker = this.formatGap(gap);
+        transcript += mode === 'bilingual'
+          ? `| ${this.formatOffset(offset)} | — | ${marker} | |\n`
+          : `\n— ${marker} —\n\n`;
+        return;
+      }
+
+      // Without an offset the clock time, and without either no time at all
+      const timestamp = Number.isFinite(offset)
+        ? this.formatOffset(offset)
+        : t.timestamp ? new Date(t.timestamp * 1000).toLocaleTimeString() : null;
+
+      if (mode === 'bilingual') {
+        transcript += `| ${timestamp || ''} | ${this.escapeCell(t.username)} | ${this.escapeCell(text)} | ${this.escapeCell(translation)} |\n`;
+      } else {
+        transcript += `**${timestamp ? `[${timestamp}] ` : ''}${t.username}:** ${mode === 'translation' ? translation : text}\n`;
+      }
     });
 
     return transcript;
   }
 
+  formatGap(gap) {
+    return gap.ended_at
+      ? `🔌 Voice connection lost, nothing recorded for ${this.formatDuration(gap.ended_at - gap.started_at)}`
+      : '🔌 Voice connection lost, the session ended here';
+  }
+
+  escapeCell(text) {
+    return String(text).replace(/\|/g, '\\|').replace(/\s*\n\s*/g, ' ');
+  }
+
+  // Timed segments of a transcription; stored rows hold them as JSON
+  getSegments(transcription) {
+    if (!transcription.segments) return [];
+    if (Array.isArray(transcription.segments)) return transcription.segments;
+
+    try {
+      const segments = JSON.parse(transcription.segments);
+      return Array.isArray(segments) ? segments : [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  // Seconds from session start. Rows recorded before utterance timing existed fall back to their
+  // timestamp; null when neither is known.
+  getUtteranceOffset(transcription, session) {
+    if (transcription.start_offset !== null && transcription.start_offset !== undefined) {
+      return transcription.start_offset;
+    }
+    if (session && session.start_time && transcription.timestamp) {
+      return transcription.timestamp - session.start_time;
+    }
+    return null;
+  }
+
+  formatOffset(seconds) {
+    if (!Number.isFinite(seconds)) return '';
+
+    const total = Math.max(0, Math.floor(seconds));
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    const secs = total % 60;
+
+    return [hours, minutes, secs].map(n => String(n).padStart(2, '0')).join(':');
+  }
+
   generateDailyReport(dailyData) {
     const { date, stats, guildActivity } = dailyData;
 
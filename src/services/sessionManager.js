@@ -1,14 +1,35 @@
 const { v4: uuidv4 } = require('crypto').randomUUID ? require('crypto') : { v4: () => require('crypto').randomBytes(16).toString('hex') };
-
-class SessionManager {
+const VoiceActivityDetector = require('./voiceActivityDetector');
+const TranscriptFilter = require('./transcriptFilter');
+const RedactionService = require('./redactionService');
+const UsageTracker = require('./usageTracker');
+const ConsentService = require('./consentService');
+const fs = require('fs');
+const { normalizeLanguage } = require('../utils/language');
+const TranscriptionQueue = require('./transcriptionQueue');
+const { TranscriptionError } = require('./transcriptionProviders');
+const { EventEmitter } = require('events');
+
+class SessionManager extends EventEmitter {
   constructor(dbQueries, audioRecorder, transcriptionService, analyticsEngine, reportGenerator) {
+    super();
     this.db = dbQueries;
     this.audioRecorder = audioRecorder;
     this.transcriptionService = transcriptionService;
     this.analyticsEngine = analyticsEngine;
     this.reportGenerator = reportGenerator;
-    this.activeSessions = new Map(); // channelId -> session data
-    this.userSessions = new Map(); // userId -> { sessionId, startTime }
+    this.voiceActivityDetector = new VoiceActivityDetector();
+    this.transcriptFilter = new TranscriptFilter();
+    this.redactionService = new RedactionService(dbQueries);
+    this.usageTracker = new UsageTracker(dbQueries);
+    this.consentService = new ConsentService(dbQueries);
+    this.quotaNotified = new Set(); // sessions already stopped for going over quota
+    this.retranscribing = new Set(); // sessions being re-transcribed
+    this.transcriptionQueue = new TranscriptionQueue(dbQueries, segment => this.processSegment(segment));
+    this.activeSessions = new Map(); // channelId -> session data, with its userSessions (userId -> { startTime, username })
+
+    // Transcribe each utterance as soon as it is finished; jobs are persisted and retried
+    this.audioRecorder.on('segmentComplete', segment => this.transcriptionQueue.enqueue(segment));
   }
 
   createSession(channel, guild) {
@@ -32,6 +53,7 @@ class SessionManager {
     this.activeSessions.set(channel.id, {
       ...sessionData,
       participants: new Set(),
+      userSessions: new Map(),
       recordings: new Map()
     });
 
@@ -47,28 +69,30 @@ class SessionManager {
       return null;
     }
 
-    const endTime = Math.floor(Date.now() / 1000);
+    // A session that never came back from a lost connection ended when the connection was lost
+    const endTime = session.suspendedAt || Math.floor(Date.now() / 1000);
     const duration = endTime - session.start_time;
 
     console.log(`⏹️  Ending session: ${session.session_id}`);
 
-    // Stop all recordings
-    const recordings = await this.audioRecorder.stopAllRecordings();
-
-    // Process recordings and transcribe
-    const transcriptionPromises = recordings.map(recording =>
-      this.processRecording(recording, session.session_id)
-    );
+    // Stop this session's recordings; their last utterances join the transcription queue.
+    // Sessions in other channels keep recording.
+    await this.audioRecorder.stopSessionRecordings(session.session_id);
 
-    await Promise.all(transcriptionPromises);
+    // Most utterances were transcribed during the session, only the tail is left
+    const { queued, running } = this.transcriptionQueue.countForSession(session.session_id);
+    if (queued + running > 0) {
+      console.log(`⏳ Waiting for ${queued + running} utterance(s) to finish transcribing (including retries)`);
+    }
+    await this.transcriptionQueue.waitForSession(session.session_id);
 
     // Update participants who are still in the session
     for (const userId of session.participants) {
-      const userSession = this.userSessions.get(userId);
-      if (userSession && userSession.sessionId === session.session_id) {
+      const userSession = session.userSessions.get(userId);
+      if (userSession) {
         const participantDuration = endTime - userSession.startTime;
         this.db.removeParticipant(session.session_id, userId, endTime, participantDuration);
-        this.userSessions.delete(userId);
+        session.userSessions.delete(userId);
       }
     }
 
@@ -77,6 +101,7 @@ class SessionManager {
 
     // Remove from active sessions
     this.activeSessions.delete(channelId);
+    this.quotaNotified.delete(session.session_id);
 
     console.log(`✅ Session ended: ${session.session_id} - Duration: ${duration}s`);
 
@@ -87,6 +112,99 @@ class SessionManager {
     };
   }
 
+  // The voice connection was lost: close the utterances being captured and mark the start of
+  // a gap in the timeline. Participants and their recordings are kept so the session can
+  // carry on if the bot gets back in.
+  async suspendSession(channelId) {
+    const session = this.activeSessions.get(channelId);
+    if (!session || session.suspendedAt) return null;
+
+    session.suspendedAt = Math.floor(Date.now() / 1000);
+    await Promise.allSettled(Array.from(session.participants).map(userId => this.audioRecorder.endSegment(session.session_id, userId)));
+
+    this.db.addSessionEvent({
+      session_id: session.session_id,
+      event_type: 'gap',
+      started_at: session.suspendedAt,
+      details: 'voice connection lost'
+    });
+
+    console.log(`⏸️  Session ${session.session_id} suspended: voice connection lost`);
+    return session.session_id;
+  }
+
+  // Carry on with a suspended session once the bot is back in its channel
+  resumeSession(channelId) {
+    const session = this.activeSessions.get(channelId);
+    if (!session || !session.suspendedAt) return null;
+
+    const resumedAt = Math.floor(Date.now() / 1000);
+    this.db.endSessionEvent(session.session_id, 'gap', resumedAt);
+    console.log(`▶️  Session ${session.session_id} resumed after a ${resumedAt - session.suspendedAt}s gap`);
+    delete session.suspendedAt;
+
+    return session.session_id;
+  }
+
+  isSuspended(channelId) {
+    const session = this.activeSessions.get(channelId);
+    return Boolean(session && session.suspendedAt);
+  }
+
+  // Close sessions a crash or kill left active, and queue the utterances still on disk that
+  // were never converted or transcribed. Their end time is a best guess from the last
+  // activity we know of. Returns the recovered session ids.
+  async recoverSessions() {
+    const live = new Set(Array.from(this.activeSessions.values()).map(session => session.session_id));
+    const sessions = this.db.getActiveSessions().filter(session => !live.has(session.session_id));
+    if (sessions.length === 0) {
+      return [];
+    }
+
+    console.log(`🩹 Recovering ${sessions.length} session(s) left open by the previous run`);
+    const files = this.audioRecorder.findSessionFiles(sessions.map(session => session.session_id));
+    const recovered = [];
+
+    for (const session of sessions) {
+      try {
+        const known = new Set(this.db.getSessionAudioFiles(session.session_id));
+        const orphans = files.filter(file => file.sessionId === session.session_id && !known.has(file.filepath));
+        const usernames = new Map(this.db.getParticipants(session.session_id).map(p => [p.user_id, p.username]));
+
+        let queued = 0;
+        for (const [i, file] of orphans.entries()) {
+          try {
+            const segment = await this.audioRecorder.recoverSegment(file, {
+              index: i,
+              username: usernames.get(file.userId) || file.userId,
+              sessionStartTime: session.start_time * 1000
+            });
+            if (segment) {
+              this.transcriptionQueue.enqueue(segment);
+              queued++;
+            }
+          } catch (error) {
+            console.error(`Error recovering ${file.filename}:`, error);
+          }
+        }
+
+        // The session lasted at least until its last utterance, participant change or file write
+        const lastFileWrite = Math.max(0, ...orphans.map(file => Math.ceil(file.mtimeMs / 1000)));
+        const endTime = Math.max(session.start_time, this.db.getSessionLastActivity(session.session_id) || 0, lastFileWrite);
+
+        const closed = this.db.closeOpenParticipants(session.session_id, endTime);
+        this.db.recoverSession(session.session_id, endTime, endTime - session.start_time);
+
+        recovered.push(session.session_id);
+        console.log(`🩹 Recovered session ${session.session_id} in ${session.channel_name}: ended around ${new Date(endTime * 1000).toISOString()}, ${closed} participant(s) closed, ${queued} orphaned utterance(s) queued`);
+      } catch (error) {
+        console.error(`Error recovering session ${session.session_id}:`, error);
+      }
+    }
+
+    return recovered;
+  }
+
   addParticipant(sessionId, user, channelId) {
     const session = this.activeSessions.get(channelId);
     if (!session) {
@@ -98,6 +216,7 @@ class SessionManager {
     if (user.bot) return;
 
     const joinedAt = Math.floor(Date.now() / 1000);
+    const recorded = this.consentService.canRecord(session.guild_id, user.id);
 
     session.participants.add(user.id);
 
@@ -106,17 +225,22 @@ class SessionManager {
       session_id: sessionId,
       user_id: user.id,
       username: user.username,
-      joined_at: joinedAt
+      joined_at: joinedAt,
+      recorded
     });
 
     // Track user session
-    this.userSessions.set(user.id, {
-      sessionId,
-      startTime: joinedAt
+    session.userSessions.set(user.id, {
+      startTime: joinedAt,
+      username: user.username
     });
 
-    // Start recording for this user
-    this.audioRecorder.startRecording(user.id, user.username, sessionId);
+    // Start recording for this user, if they consent
+    if (!recorded) {
+      console.log(`🙈 ${user.username} joined session ${sessionId} without recording consent, not recording`);
+      return;
+    }
+    this.audioRecorder.startRecording(user.id, user.username, sessionId, session.start_time * 1000);
 
     console.log(`👤 ${user.username} joined session ${sessionId}`);
   }
@@ -126,70 +250,328 @@ class SessionManager {
     if (!session) return;
 
     const leftAt = Math.floor(Date.now() / 1000);
-    const userSession = this.userSessions.get(userId);
+    const userSession = session.userSessions.get(userId);
 
     if (!userSession) return;
 
     const duration = leftAt - userSession.startTime;
 
-    // Stop recording and process
-    const recording = await this.audioRecorder.stopRecording(userId);
-    if (recording) {
-      await this.processRecording(recording, sessionId);
-    }
+    // Stop recording; the final utterance is queued for transcription
+    await this.audioRecorder.stopRecording(sessionId, userId);
 
     // Update database
     this.db.removeParticipant(sessionId, userId, leftAt, duration);
 
     // Remove from tracking
     session.participants.delete(userId);
-    this.userSessions.delete(userId);
+    session.userSessions.delete(userId);
 
     console.log(`👋 User ${userId} left session ${sessionId}`);
   }
 
-  async processRecording(recording, sessionId) {
+  // Start or stop recording a user in the guild's running sessions after they change their
+  // consent. What was captured before an opt-out is kept.
+  async applyConsent(guildId, userId) {
+    const allowed = this.consentService.canRecord(guildId, userId);
+
+    for (const session of this.activeSessions.values()) {
+      if (session.guild_id !== guildId || !session.participants.has(userId)) continue;
+
+      const recording = this.audioRecorder.isRecording(session.session_id, userId);
+      const { username } = session.userSessions.get(userId);
+      if (!allowed && recording) {
+        await this.audioRecorder.stopRecording(session.session_id, userId);
+        console.log(`🙈 ${username} opted out, stopped recording them in session ${session.session_id}`);
+      } else if (allowed && !recording) {
+        this.audioRecorder.startRecording(userId, username, session.session_id, session.start_time * 1000);
+        this.db.markParticipantRecorded(session.session_id, userId);
+      }
+    }
+  }
+
+  // Errors are left to the transcription queue, which retries or dead-letters the job.
+  // overrides: { provider, model } to transcribe differently from the guild's settings,
+  // bypassCache to skip cached results, and replace to supersede the rows already stored
+  // for this audio file (re-transcription). Rows are only superseded by new ones; a
+  // re-transcription that finds nothing keeps the previous version.
+  async processSegment(segment, overrides = {}) {
+    let transcriptionPath = null;
+
     try {
-      if (!recording.wavPath) {
-        console.warn('No WAV file available for transcription');
+      if (!segment.audioPath) {
+        console.warn('No audio file available for transcription');
         return;
       }
 
+      // Over the monthly quota the guild either stops or carries on with a cheaper model
+      const session = this.db.findSessionById(segment.sessionId);
+      const quota = session ? this.usageTracker.getQuotaStatus(session.guild_id) : null;
+      if (quota && quota.exceeded && quota.action === 'stop') {
+        // Dead-lettered rather than done, so an admin can requeue it once the quota resets
+        this.stopForQuota(session.guild_id, quota);
+        throw new TranscriptionError(`${session.guild_name} is over its monthly transcription quota`);
+      }
+
+      // Pick the provider and model first; the audio is prepared the way the provider needs it
+      const options = this.getTranscriptionOptions(segment);
+      if (overrides.provider) options.provider = overrides.provider;
+      if (overrides.model) options.model = overrides.model;
+      if (overrides.bypassCache) options.bypassCache = true;
+      if (quota && quota.exceeded) {
+        const fallbackModel = this.usageTracker.getFallbackModel(options.provider || this.transcriptionService.defaultProvider);
+        if (fallbackModel) {
+          options.model = fallbackModel;
+        }
+      }
+
+      // The stored file may be compressed; transcribe from a temporary WAV derivative
+      const provider = this.transcriptionService.getProvider(options.provider);
+      transcriptionPath = await this.audioRecorder.prepareForTranscription(segment.audioPath, {
+        sampleRate: provider.sampleRate
+      });
+
+      // Skip the API call entirely when there is no voice in the utterance
+      let voice = null;
+      if (this.voiceActivityDetector.enabled) {
+        voice = await this.voiceActivityDetector.process(transcriptionPath);
+        if (!voice.hasSpeech) {
+          console.log(`🔇 Skipping utterance ${segment.index} for ${segment.username}: no voiced audio in ${voice.duration.toFixed(2)}s, not sent for transcription${overrides.replace ? '; keeping the previous version' : ''}`);
+          return;
+        }
+      }
+
       // Transcribe the audio
-      const transcription = await this.transcriptionService.transcribeAudio(recording.wavPath);
+      const transcription = await this.transcribeWithUsage(segment, session, transcriptionPath, options);
 
       if (!transcription.text || transcription.text.trim().length === 0) {
-        console.log(`⚠️  No speech detected in recording for ${recording.username}`);
-        // Clean up the audio file
-        this.transcriptionService.cleanupAudioFile(recording.wavPath);
+        console.log(`⚠️  No speech detected in utterance ${segment.index} for ${segment.username}${overrides.replace ? '; keeping the previous version' : ''}`);
         return;
       }
 
-      // Save transcription to database
-      this.db.addTranscription({
-        session_id: sessionId,
-        user_id: recording.userId,
-        username: recording.username,
-        audio_file: recording.wavPath,
-        transcript: transcription.text,
-        confidence: transcription.confidence,
-        language: transcription.language,
-        timestamp: Math.floor(recording.startTime / 1000),
+      // Segment times come relative to the (trimmed) WAV; store them relative to the session
+      const fileStart = (segment.offset || 0) + (voice ? voice.trimStart : 0);
+      const segments = transcription.segments.map(s => ({
+        ...s,
+        start: fileStart + s.start,
+        end: fileStart + s.end
+      }));
+
+      // Flag commentary, loops and other output that wasn't actually said
+      const verdict = this.transcriptFilter.check({ ...transcription, segments }, {
+        voicedDuration: voice ? voice.voicedDuration : null,
         duration: transcription.duration,
-        word_count: transcription.wordCount
+        // Only an enforced language can be mismatched; detected or hinted ones can't
+        expectedLanguage: this.transcriptionService.resolveLanguage(options).language,
+        label: `utterance ${segment.index} from ${segment.username}`
       });
 
-      console.log(`💾 Saved transcription for ${recording.username}: ${transcription.wordCount} words`);
+      // There is a new version to save, so the old one can go
+      if (overrides.replace) {
+        this.db.supersedeTranscriptions(segment.sessionId, segment.audioPath);
+      }
+
+      if (verdict.utteranceReasons.length > 0) {
+        await this.saveTranscription(segment, transcription, segments, voice, {
+          status: 'quarantined',
+          flag_reason: verdict.utteranceReasons.join('; ')
+        });
+        return;
+      }
+
+      if (verdict.quarantined.length > 0) {
+        await this.saveTranscription(segment, transcription, verdict.quarantined.map(q => q.segment), voice, {
+          status: 'quarantined',
+          flag_reason: [...new Set(verdict.quarantined.flatMap(q => q.reasons))].join('; ')
+        });
+      }
+
+      if (verdict.accepted.length > 0) {
+        await this.saveTranscription(segment, transcription, verdict.accepted, voice, { options });
+      }
+    } finally {
+      // The stored recording is kept (until cleanupOldRecordings), also when it was judged
+      // silent, so a wrong call can be checked; only the derivative goes
+      if (transcriptionPath) {
+        this.transcriptionService.cleanupAudioFile(transcriptionPath);
+      }
+    }
+  }
+
+  // Transcribe and record the usage. Failed attempts are recorded too; they may still be billed.
+  async transcribeWithUsage(segment, session, audioPath, options) {
+    const audioBytes = fs.statSync(audioPath).size;
+    const usage = {
+      guildId: session ? session.guild_id : null,
+      sessionId: segment.sessionId,
+      userId: segment.userId,
+      username: segment.username,
+      provider: options.provider || this.transcriptionService.defaultProvider,
+      model: options.model || null,
+      audioSeconds: this.transcriptionService.getAudioDuration(audioPath, audioBytes),
+      audioBytes,
+      requests: 1
+    };
+
+    try {
+      const transcription = await this.transcriptionService.transcribeAudio(audioPath, options);
+      // Cached results cost nothing
+      if (usage.guildId && !transcription.cached) {
+        this.usageTracker.record({ ...usage, provider: transcription.provider || usage.provider, model: transcription.model, requests: transcription.requests });
+
+        // Stop capturing as soon as the quota runs out, not at the next utterance
+        const quota = this.usageTracker.getQuotaStatus(usage.guildId);
+        if (quota.exceeded && quota.action === 'stop') {
+          this.stopForQuota(usage.guildId, quota);
+        }
+      }
+      return transcription;
+    } catch (error) {
+      if (usage.guildId) {
+        this.usageTracker.record({ ...usage, error: error.message });
+      }
+      throw error;
+    }
+  }
+
+  // False once the guild has used its monthly quota and its quota action is 'stop'
+  canRecord(guildId) {
+    const quota = this.usageTracker.getQuotaStatus(guildId);
+    return !(quota.exceeded && quota.action === 'stop');
+  }
+
+  // Over quota with the 'stop' action: every running session of the guild stops recording.
+  // Listeners are told once per session, so the bot can leave and say why.
+  stopForQuota(guildId, quota) {
+    for (const session of this.activeSessions.values()) {
+      if (session.guild_id !== guildId || this.quotaNotified.has(session.session_id)) continue;
 
-      // Clean up audio file after successful transcription
-      // this.transcriptionService.cleanupAudioFile(recording.wavPath);
+      this.quotaNotified.add(session.session_id);
+      console.log(`💸 ${session.guild_name} is over its monthly transcription quota, stopping session ${session.session_id}`);
+      this.emit('quotaExceeded', { sessionId: session.session_id, channelId: session.channel_id, guildId, quota });
+    }
+  }
+
+  // Store an utterance's transcription built from the given segments. Text is redacted
+  // first, so nothing stored, translated or posted contains what the guild's rules remove.
+  // Active rows are translated when the guild has a target language and announced to
+  // listeners such as live captions; quarantined ones are only kept for review.
+  async saveTranscription(segment, transcription, segments, voice, { status = 'active', flag_reason = null, options = {} } = {}) {
+    const partial = segments.length !== transcription.segments.length;
+    const original = partial ? segments.map(s => s.text).join(' ') : transcription.text;
+    const wordCount = partial ? this.transcriptionService.countWords(original) : transcription.wordCount;
+    const redacted = this.redactTranscript(segment.sessionId, original, segments);
+    const text = redacted.text;
+    const translation = status === 'active'
+      ? await this.translateTranscript(text, transcription.language, options)
+      : null;
+
+    const transcriptionData = {
+      session_id: segment.sessionId,
+      user_id: segment.userId,
+      username: segment.username,
+      audio_file: segment.audioPath,
+      transcript: text,
+      confidence: partial ? this.transcriptionService.calculateConfidence(segments) : transcription.confidence,
+      language: transcription.language,
+      timestamp: Math.floor(segment.startTime / 1000),
+      duration: segment.duration || transcription.duration,
+      word_count: wordCount,
+      start_offset: segment.offset,
+      end_offset: segment.endOffset,
+      voiced_duration: voice ? voice.voicedDuration : null,
+      segments: redacted.segments,
+      status,
+      flag_reason,
+      translation,
+      translation_language: translation ? options.targetLanguage : null,
+      redactions: redacted.counts,
+      unredacted_transcript: redacted.unredacted,
+      provider: transcription.provider,
+      model: transcription.model
+    };
+    this.db.addTranscription(transcriptionData);
+
+    if (status === 'active') {
+      this.emit('transcriptionSaved', transcriptionData);
+      console.log(`💾 Saved transcription for ${segment.username} (utterance ${segment.index}): ${wordCount} words`);
+    } else {
+      console.log(`🚩 Quarantined transcription for ${segment.username} (utterance ${segment.index}): ${flag_reason}`);
+    }
+  }
+
+  // Apply the guild's redaction rules to the text and each segment. The unredacted text is
+  // only kept when the guild asks for it.
+  redactTranscript(sessionId, text, segments) {
+    const rules = this.redactionService.getRulesForSession(sessionId);
+    if (!this.redactionService.isEnabled(rules)) {
+      return { text, segments, counts: null, unredacted: null };
+    }
+
+    const result = this.redactionService.redact(text, rules);
+    const total = Object.values(result.counts).reduce((sum, count) => sum + count, 0);
+    if (total > 0) {
+      console.log(`🛡️  Redacted ${total} item(s): ${Object.entries(result.counts).map(([name, count]) => `${count} ${name}`).join(', ')}`);
+    }
+
+    return {
+      text: result.text,
+      segments: segments.map(s => ({ ...s, text: this.redactionService.redact(s.text, rules).text })),
+      counts: total > 0 ? result.counts : null,
+      unredacted: total > 0 && rules.keepOriginal ? text : null
+    };
+  }
+
+  // Translation into the guild's target language. Utterances already in that language are
+  // left alone, and a failed translation doesn't cost the transcription.
+  async translateTranscript(text, sourceLanguage, options) {
+    if (!options.targetLanguage || normalizeLanguage(sourceLanguage) === options.targetLanguage) {
+      return null;
+    }
+
+    try {
+      const translations = await this.transcriptionService.translateTexts([text], {
+        provider: options.provider,
+        targetLanguage: options.targetLanguage,
+        sourceLanguage
+      });
+      return translations ? translations[0] : null;
     } catch (error) {
-      console.error('Error processing recording:', error);
+      console.warn(`⚠️  Keeping transcription untranslated: ${error.message}`);
+      return null;
     }
   }
 
+  // Transcription settings for a segment: the guild's provider, target language and
+  // vocabulary, and the speaker's language
+  getTranscriptionOptions(segment) {
+    const session = this.db.findSessionById(segment.sessionId);
+    const entries = session ? this.db.getVocabulary(session.guild_id) : [];
+    const rules = this.redactionService.getRules(session ? session.guild_id : null);
+
+    return {
+      guildId: session ? session.guild_id : null,
+      // Cached results are unredacted; a guild that redacts only keeps originals when it asks to
+      cacheResult: !this.redactionService.isEnabled(rules) || rules.keepOriginal,
+      provider: session ? this.db.getGuildSetting(session.guild_id, 'transcription_provider') : null,
+      targetLanguage: session ? this.db.getGuildSetting(session.guild_id, 'translation_language') : null,
+      languageHint: this.db.getUserLanguage(segment.userId),
+      // Glossary terms and the right spellings from corrections both help the model
+      vocabulary: [...new Set(entries.map(entry => entry.replacement || entry.term))],
+      corrections: entries.filter(entry => entry.replacement)
+    };
+  }
+
+  // Audio captured so far by the session's active recordings
+  getCaptureStats(sessionId) {
+    return this.audioRecorder.getActiveRecordings(sessionId)
+      .reduce((totals, recording) => ({
+        bytes: totals.bytes + recording.bytes,
+        audioSeconds: totals.audioSeconds + recording.frames * 0.02
+      }), { bytes: 0, audioSeconds: 0 });
+  }
+
   getActiveSession(channelId) {
-    return this.activeSessions.get(channelId);
+    return this.activeSessions.get(channelId) || null;
   }
 
   hasActiveSession(channelId) {
@@ -210,6 +592,78 @@ class SessionManager {
     }
   }
 
+  // Transcribe a finished session again from its retained audio, e.g. with a better model.
+  // Each utterance's old rows are superseded as its new transcription is saved, so a failure
+  // part way leaves every utterance with exactly one version. onProgress(done, total, failed)
+  async retranscribeSession(sessionId, { provider = null, model = null, bypassCache = false } = {}, onProgress = () => {}) {
+    const session = this.db.findSessionById(sessionId);
+    if (!session) {
+      throw new Error('Session not found');
+    }
+    if (session.status === 'active') {
+      throw new Error('This session is still being recorded');
+    }
+    if (this.retranscribing.has(sessionId)) {
+      throw new Error('This session is already being re-transcribed');
+    }
+    const { queued, running } = this.transcriptionQueue.countForSession(sessionId);
+    if (queued + running > 0) {
+      throw new Error('This session still has utterances waiting for transcription');
+    }
+
+    // One utterance per audio file; accepted and quarantined parts of it share the file
+    const rows = [];
+    const seen = new Set();
+    this.db.getCurrentTranscriptions(sessionId).forEach(row => {
+      if (seen.has(row.audio_file)) return;
+      seen.add(row.audio_file);
+      rows.push(row);
+    });
+    if (rows.length === 0) {
+      throw new Error('This session has no transcriptions to redo');
+    }
+
+    const missing = rows.filter(row => !row.audio_file || !fs.existsSync(row.audio_file));
+    if (missing.length > 0) {
+      throw new Error(`${missing.length} of ${rows.length} audio file(s) of this session have already been cleaned up, so it can't be re-transcribed`);
+    }
+
+    const segments = rows.map((row, i) => ({
+      index: i + 1,
+      sessionId,
+      userId: row.user_id,
+      username: row.username,
+      audioPath: row.audio_file,
+      startTime: row.timestamp * 1000,
+      offset: row.start_offset,
+      endOffset: row.end_offset,
+      duration: row.duration
+    }));
+
+    console.log(`🔁 Re-transcribing ${segments.length} utterance(s) of session ${sessionId}${provider ? ` with ${provider}` : ''}${model ? ` (${model})` : ''}`);
+    this.retranscribing.add(sessionId);
+    let done = 0;
+    let failed = 0;
+
+    try {
+      await this.transcriptionService.runWithConcurrency(segments, this.transcriptionQueue.concurrency, async segment => {
+        try {
+          await this.processSegment(segment, { provider, model, bypassCache, replace: true });
+        } catch (error) {
+          failed++;
+          console.error(`❌ Re-transcribing utterance ${segment.index} of session ${sessionId} failed, keeping the previous version: ${error.message}`);
+        }
+        done++;
+        await onProgress(done, segments.length, failed);
+      });
+    } finally {
+      this.retranscribing.delete(sessionId);
+    }
+
+    console.log(`✅ Re-transcribed session ${sessionId}: ${segments.length - failed}/${segments.length} utterance(s)`);
+    return { total: segments.length, failed };
+  }
+
   async generateSessionReport(sessionId, channel) {
     try {
       // Check minimum duration requirement
@@ -227,8 +681,12 @@ class SessionManager {
       // Generate report embed
       const reportEmbed = this.reportGenerator.generateSessionReport(analysisData);
 
-      // Generate transcript
-      const transcript = this.reportGenerator.generateTranscriptText(analysisData.transcriptions);
+      // Generate transcript, side by side with its translation when the guild translates
+      const translating = session && this.db.getGuildSetting(session.guild_id, 'translation_language');
+      const transcript = this.reportGenerator.generateTranscriptText(analysisData.transcriptions, analysisData.session, {
+        mode: translating ? 'bilingual' : 'original',
+        events: analysisData.events
+      });
 
       return {
         embed: reportEmbed,
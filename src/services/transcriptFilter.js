@@ -0,0 +1,214 @@
+// Catches transcription output that isn't what was said: model commentary about the audio,
+// phrases looped over and over, more words than the speech could hold, or text in another
+// language. Flagged output is quarantined by the caller, never silently dropped.
+
+const { normalizeLanguage } = require('../utils/language');
+
+// Commentary the model writes instead of (or around) a transcript
+const META_PATTERNS = [
+  /there (is|was|are|were) no (audible |discernible |clear )?(speech|audio|spoken words|dialogue|talking)/i,
+  /(the )?audio (is|was|appears to be|seems to be|contains only) (silent|empty|blank|unclear|inaudible|silence|noise|music)/i,
+  /no (audible|discernible|intelligible) (speech|words|dialogue)/i,
+  /\b(cannot|can't|could not|couldn't|unable to) (transcribe|hear|make out|understand) (the|this|any)/i,
+  /^(here is|here's) (the|a|your) transcri(pt|ption)/i,
+  /\bas an ai\b/i
+];
+
+// Whole-segment fillers that models (Whisper especially) produce from silence or noise
+const FILLER_PATTERNS = [
+  /^[[(*]*\s*(no speech|silence|inaudible|music|background noise|noise|blank[ _]audio|unintelligible|applause|laughter)\s*[\])*]*\.?$/i,
+  /^(thanks|thank you) (so much )?for watching[.!]*$/i,
+  /^(please )?(like and )?subscribe[.!]*$/i,
+  /^subtitles by\b/i
+];
+
+// Scripts of the languages we can check without a detector
+const LANGUAGE_SCRIPTS = {
+  latin: ['en', 'es', 'fr', 'de', 'it', 'pt', 'nl', 'sv', 'da', 'no', 'nb', 'fi', 'pl', 'cs', 'sk', 'ro', 'hu', 'tr', 'id', 'ms', 'vi', 'tl', 'hr', 'sl', 'et', 'lv', 'lt', 'ca'],
+  cyrillic: ['ru', 'uk', 'bg', 'sr', 'mk', 'be', 'kk'],
+  greek: ['el'],
+  arabic: ['ar', 'fa', 'ur'],
+  hebrew: ['he'],
+  devanagari: ['hi', 'mr', 'ne'],
+  han: ['zh', 'ja'],
+  hangul: ['ko'],
+  thai: ['th']
+};
+
+const SCRIPT_PATTERNS = {
+  latin: /\p{Script=Latin}/u,
+  cyrillic: /\p{Script=Cyrillic}/u,
+  greek: /\p{Script=Greek}/u,
+  arabic: /\p{Script=Arabic}/u,
+  hebrew: /\p{Script=Hebrew}/u,
+  devanagari: /\p{Script=Devanagari}/u,
+  han: /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]/u,
+  hangul: /\p{Script=Hangul}/u,
+  thai: /\p{Script=Thai}/u
+};
+
+class TranscriptFilter {
+  constructor() {
+    this.enabled = process.env.TRANSCRIPT_FILTER_ENABLED !== 'false';
+    this.maxRepeats = parseInt(process.env.TRANSCRIPT_MAX_REPEATS) || 4; // consecutive repeats of a phrase
+    this.maxWordsPerSecond = parseFloat(process.env.TRANSCRIPT_MAX_WORDS_PER_SECOND) || 6; // fast speech is about 4
+    this.noSpeechThreshold = parseFloat(process.env.TRANSCRIPT_NO_SPEECH_THRESHOLD) || 0.8;
+    this.minVoicedRatio = 0.5; // below this share of the clip, voiced time isn't trusted for the rate
+  }
+
+  // transcription: { text, language, segments } with segments from the provider.
+  // context: { voicedDuration, duration, expectedLanguage, label }
+  // Returns { accepted, quarantined: [{ segment, reasons }], utteranceReasons }; when
+  // utteranceReasons is not empty the whole utterance should be quarantined.
+  check(transcription, context = {}) {
+    const label = context.label || 'utterance';
+    const segments = transcription.segments || [];
+
+    if (!this.enabled) {
+      return { accepted: segments, quarantined: [], utteranceReasons: [] };
+    }
+
+    const utteranceReasons = [];
+
+    // More words than the detected speech could hold means the text wasn't all said
+    const wordCount = this.countWords(transcription.text);
+    const speechSeconds = this.getSpeechSeconds(context);
+    if (speechSeconds) {
+      const wordsPerSecond = wordCount / Math.max(speechSeconds, 0.5);
+      if (wordsPerSecond > this.maxWordsPerSecond) {
+        utteranceReasons.push(`implausible rate: ${wordCount} words in ${speechSeconds.toFixed(1)}s of speech (${wordsPerSecond.toFixed(1)}/s)`);
+      }
+    }
+
+    const mismatch = this.checkLanguage(transcription, context.expectedLanguage);
+    if (mismatch) {
+      utteranceReasons.push(mismatch);
+    }
+
+    const accepted = [];
+    const quarantined = [];
+    for (const segment of segments) {
+      const reasons = this.checkSegment(segment);
+      if (reasons.length > 0) {
+        quarantined.push({ segment, reasons });
+      } else {
+        accepted.push(segment);
+      }
+    }
+
+    if (utteranceReasons.length > 0) {
+      console.log(`🚩 Transcript filter: quarantining ${label}: ${utteranceReasons.join('; ')}`);
+    }
+    quarantined.forEach(({ segment, reasons }) => {
+      console.log(`🚩 Transcript filter: quarantining segment of ${label} "${this.preview(segment.text)}": ${reasons.join('; ')}`);
+    });
+    if (utteranceReasons.length === 0 && quarantined.length === 0) {
+      console.log(`✅ Transcript filter: ${label} passed (${segments.length} segment(s))`);
+    }
+
+    return { accepted, quarantined, utteranceReasons };
+  }
+
+  // Voiced time measures the speech best, but quiet speakers can read as barely voiced; when
+  // the two disagree widely the length of the clip is the safer measure
+  getSpeechSeconds({ voicedDuration, duration }) {
+    if (voicedDuration && duration && voicedDuration < duration * this.minVoicedRatio) {
+      return duration;
+    }
+    return voicedDuration || duration;
+  }
+
+  checkSegment(segment) {
+    const reasons = [];
+    const text = segment.text.trim();
+
+    if (FILLER_PATTERNS.some(pattern => pattern.test(text))) {
+      reasons.push('filler output for silence or noise');
+    } else if (META_PATTERNS.some(pattern => pattern.test(text))) {
+      reasons.push('commentary about the audio instead of speech');
+    }
+
+    const loop = this.findRepetitionLoop(text);
+    if (loop) {
+      reasons.push(`repetition loop: "${this.preview(loop.phrase, 40)}" x${loop.count}`);
+    }
+
+    if (segment.no_speech_prob !== null && segment.no_speech_prob !== undefined &&
+        segment.no_speech_prob >= this.noSpeechThreshold &&
+        !(segment.confidence >= 0.5)) {
+      reasons.push(`likely no speech (no_speech_prob ${segment.no_speech_prob.toFixed(2)})`);
+    }
+
+    return reasons;
+  }
+
+  // The longest phrase of up to 8 words repeated back to back more than maxRepeats times
+  findRepetitionLoop(text) {
+    const words = text.toLowerCase().replace(/[^\p{L}\p{N}'\s]/gu, ' ').split(/\s+/).filter(Boolean);
+    let found = null;
+
+    for (let size = 1; size <= 8 && size * (this.maxRepeats + 1) <= words.length; size++) {
+      for (let start = 0; start + size * (this.maxRepeats + 1) <= words.length; start++) {
+        const phrase = words.slice(start, start + size).join(' ');
+        let count = 1;
+        while (words.slice(start + count * size, start + (count + 1) * size).join(' ') === phrase) {
+          count++;
+        }
+
+        if (count > this.maxRepeats && (!found || count * size > found.count * found.size)) {
+          found = { phrase, count, size };
+        }
+      }
+    }
+
+    return found;
+  }
+
+  // Compare the reported language, or failing that the writing system, with what was expected
+  checkLanguage(transcription, expectedLanguage) {
+    const expected = normalizeLanguage(expectedLanguage);
+    if (!expected) return null;
+
+    const reported = normalizeLanguage(transcription.language);
+    if (reported && reported !== expected) {
+      return `language mismatch: expected ${expected}, transcribed as ${reported}`;
+    }
+
+    const expectedScript = Object.keys(LANGUAGE_SCRIPTS).find(script => LANGUAGE_SCRIPTS[script].includes(expected));
+    const actualScript = this.dominantScript(transcription.text);
+    if (expectedScript && actualScript && actualScript !== expectedScript) {
+      return `language mismatch: expected ${expected} (${expectedScript} script), text is mostly ${actualScript}`;
+    }
+
+    return null;
+  }
+
+  // The script of most letters in the text, if one clearly dominates
+  dominantScript(text) {
+    const counts = {};
+    let letters = 0;
+
+    for (const char of text || '') {
+      if (!/\p{L}/u.test(char)) continue;
+      letters++;
+      const script = Object.keys(SCRIPT_PATTERNS).find(name => SCRIPT_PATTERNS[name].test(char));
+      if (script) {
+        counts[script] = (counts[script] || 0) + 1;
+      }
+    }
+
+    if (letters < 10) return null; // too little text to judge
+    const [script, count] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0] || [];
+    return count / letters > 0.6 ? script : null;
+  }
+
+  countWords(text) {
+    return text ? text.split(/\s+/).filter(word => word.length > 0).length : 0;
+  }
+
+  preview(text, length = 60) {
+    return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+  }
+}
+
+module.exports = TranscriptFilter;
@@ -0,0 +1,110 @@
+// Transcription results keyed by a hash of the audio sent, the provider and model, and the
+// prompt parameters, so audio that is transcribed again (a crash-recovery reprocess, or a
+// re-transcription with the same model) doesn't cost another request.
+// Entries expire after TRANSCRIPTION_CACHE_MAX_AGE_DAYS, and the least recently used are
+// dropped once the cache holds more than TRANSCRIPTION_CACHE_MAX_MB of results.
+// Results are stored as the provider returned them, before redaction, so callers don't cache
+// for guilds that redact without keeping originals, and purge a guild's entries when its
+// redaction rules change.
+const crypto = require('crypto');
+const fs = require('fs');
+
+// Bump when the prompt or result format changes, so older entries are no longer used
+const CACHE_VERSION = 1;
+
+class TranscriptionCache {
+  constructor(dbQueries) {
+    this.db = dbQueries;
+    this.enabled = process.env.TRANSCRIPTION_CACHE_ENABLED !== 'false';
+    this.maxAgeDays = parseFloat(process.env.TRANSCRIPTION_CACHE_MAX_AGE_DAYS) || 30;
+    this.maxBytes = (parseFloat(process.env.TRANSCRIPTION_CACHE_MAX_MB) || 50) * 1024 * 1024;
+  }
+
+  // Null when caching is turned off
+  getKey(audioPath, provider, options) {
+    if (!this.enabled) return null;
+
+    const hash = crypto.createHash('sha256');
+    hash.update(fs.readFileSync(audioPath));
+    hash.update(JSON.stringify({
+      version: CACHE_VERSION,
+      provider: provider.name,
+      model: options.model || provider.model || null,
+      language: options.language || null,
+      languageHint: options.languageHint || null,
+      vocabulary: [...(options.vocabulary || [])].sort()
+    }));
+    return hash.digest('hex');
+  }
+
+  get(key) {
+    try {
+      const entry = this.db.getCacheEntry(key, this.getCutoff());
+      if (!entry) return null;
+
+      this.db.touchCacheEntry(key);
+      return JSON.parse(entry.result);
+    } catch (error) {
+      // A broken cache only costs a request
+      console.error('Error reading transcription cache:', error);
+      return null;
+    }
+  }
+
+  set(key, transcription, guildId = null) {
+    try {
+      const result = JSON.stringify(transcription);
+      this.db.setCacheEntry({
+        cache_key: key,
+        guild_id: guildId,
+        provider: transcription.provider || null,
+        model: transcription.model || null,
+        result,
+        size: Buffer.byteLength(result)
+      });
+      this.prune();
+    } catch (error) {
+      console.error('Error writing transcription cache:', error);
+    }
+  }
+
+  // Forget everything transcribed for a guild; returns the number of entries removed
+  purgeGuild(guildId) {
+    try {
+      const removed = this.db.deleteCacheEntriesForGuild(guildId);
+      if (removed > 0) {
+        console.log(`♻️  Transcription cache: removed ${removed} entr${removed === 1 ? 'y' : 'ies'} for guild ${guildId}`);
+      }
+      return removed;
+    } catch (error) {
+      console.error('Error purging transcription cache:', error);
+      return 0;
+    }
+  }
+
+  // Drop expired entries, then the least recently used until the cache fits
+  prune() {
+    const expired = this.db.deleteCacheEntriesOlderThan(this.getCutoff());
+
+    let excess = this.db.getCacheSize() - this.maxBytes;
+    let evicted = 0;
+    if (excess > 0) {
+      for (const entry of this.db.getCacheEntriesByLastUse()) {
+        if (excess <= 0) break;
+        this.db.deleteCacheEntry(entry.cache_key);
+        excess -= entry.size;
+        evicted++;
+      }
+    }
+
+    if (expired + evicted > 0) {
+      console.log(`♻️  Transcription cache: removed ${expired} expired and ${evicted} least recently used entr${expired + evicted === 1 ? 'y' : 'ies'}`);
+    }
+  }
+
+  getCutoff() {
+    return Math.floor(Date.now() / 1000 - this.maxAgeDays * 24 * 60 * 60);
+  }
+}
+
+module.exports = TranscriptionCache;
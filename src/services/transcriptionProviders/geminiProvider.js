@@ -0,0 +1,24 @@
+const { GoogleGenerativeAI, SchemaType } = require('@google/generative-ai');
+const GoogleProvider = require('./googleProvider');
+
+class GeminiProvider extends GoogleProvider {
+  constructor({ apiKey = process.env.GOOGLE_API_KEY } = {}) {
+    super(SchemaType);
+    this.name = 'gemini';
+    this.label = 'Gemini API';
+    this.genAI = new GoogleGenerativeAI(apiKey);
+  }
+
+  static missingConfig(env = process.env) {
+    return env.GOOGLE_API_KEY ? [] : ['GOOGLE_API_KEY'];
+  }
+
+  getModel(generationConfig, model = this.model) {
+    return this.genAI.getGenerativeModel({
+      model,
+      generationConfig
+    });
+  }
+}
+
+module.exports = GeminiProvider;
@@ -0,0 +1,170 @@
+const fs = require('fs');
+const TranscriptionError = require('./transcriptionError');
+const { languageName } = require('../../utils/language');
+
+// Shared request logic for the Gemini API and Vertex AI, which take the same
+// requests and differ only in how the model client is created
+class GoogleProvider {
+  constructor(schemaType) {
+    this.model = process.env.TRANSCRIPTION_MODEL || 'gemini-1.5-flash';
+    // Inline audio is capped per request; larger files are chunked by the service
+    this.maxRequestBytes = (parseFloat(process.env.TRANSCRIPTION_MAX_REQUEST_MB) || 20) * 1024 * 1024;
+    this.schemaType = schemaType; // each SDK spells the schema types differently
+  }
+
+  getModel(generationConfig, model = this.model) {
+    throw new Error(`${this.constructor.name} must implement getModel(generationConfig, model)`);
+  }
+
+  // Ask for JSON in this shape rather than free text, so we get timing and confidence
+  getGenerationConfig() {
+    const Type = this.schemaType;
+    return {
+      responseMimeType: 'application/json',
+      responseSchema: {
+        type: Type.OBJECT,
+        properties: {
+          language: { type: Type.STRING },
+          segments: {
+            type: Type.ARRAY,
+            items: {
+              type: Type.OBJECT,
+              properties: {
+                start: { type: Type.NUMBER },
+                end: { type: Type.NUMBER },
+                text: { type: Type.STRING },
+                language: { type: Type.STRING },
+                confidence: { type: Type.NUMBER },
+                no_speech_prob: { type: Type.NUMBER }
+              },
+              required: ['start', 'end', 'text']
+            }
+          }
+        },
+        required: ['segments']
+      }
+    };
+  }
+
+  buildPrompt(options = {}) {
+    const languageInstruction = options.language
+      ? `The audio is in ${options.language} language.`
+      : `Speakers may use any language${options.languageHint ? `, most likely ${languageName(options.languageHint)}` : ''}, and may switch between languages.
+Detect the language of each segment and transcribe it in the language actually spoken; never translate.`;
+
+    // The guild's glossary, so names and jargon come out spelled the way the server spells them
+    const vocabularyInstruction = options.vocabulary && options.vocabulary.length > 0
+      ? `\nThese names and terms may come up; when they do, spell them exactly as written here: ${options.vocabulary.join(', ')}.`
+      : '';
+
+    return `Transcribe the following audio accurately.
+${languageInstruction}${vocabularyInstruction}
+Return JSON with "language" (ISO 639-1 code of the main spoken language) and "segments": one entry per sentence or phrase, in order, each with
+"start" and "end" (seconds from the beginning of the audio), "text" (the exact words spoken), "language" (ISO 639-1 code of that segment),
+"confidence" (0 to 1, how sure you are the words are right) and "no_speech_prob" (0 to 1, how likely the segment contains no speech).
+Be precise and include all spoken words, without any additional commentary.
+If nothing is spoken, return an empty "segments" array.`;
+  }
+
+  async transcribe(audioPath, options = {}) {
+    const audioData = fs.readFileSync(audioPath);
+
+    const model = options.model || this.model;
+    const result = await this.getModel(this.getGenerationConfig(), model).generateContent([
+      {
+        inlineData: {
+          mimeType: 'audio/wav',
+          data: audioData.toString('base64')
+        }
+      },
+      { text: this.buildPrompt(options) }
+    ]);
+
+    const response = await result.response;
+    return { ...this.parseResponse(this.getResponseText(response), options), model };
+  }
+
+  // Translate a batch of utterances in one request; the reply must keep their order
+  async translate(texts, options = {}) {
+    const Type = this.schemaType;
+    const model = this.getModel({
+      responseMimeType: 'application/json',
+      responseSchema: {
+        type: Type.OBJECT,
+        properties: {
+          translations: { type: Type.ARRAY, items: { type: Type.STRING } }
+        },
+        required: ['translations']
+      }
+    });
+
+    const source = options.sourceLanguage ? ` from ${languageName(options.sourceLanguage)}` : '';
+    const prompt = `Translate each of the following spoken utterances${source} into ${languageName(options.targetLanguage)}.
+Keep the meaning and tone, keep names as they are, and don't add any commentary.
+Return JSON with "translations": exactly ${texts.length} strings, in the same order as the input.
+
+${JSON.stringify(texts)}`;
+
+    const result = await model.generateContent(prompt);
+    const response = await result.response;
+
+    let translations;
+    try {
+      translations = JSON.parse(this.getResponseText(response)).translations;
+    } catch (error) {
+      throw new TranscriptionError(`${this.label} returned malformed translation JSON: ${error.message}`, { transient: true });
+    }
+
+    if (!Array.isArray(translations) || translations.length !== texts.length) {
+      throw new TranscriptionError(`${this.label} returned ${Array.isArray(translations) ? translations.length : 'no'} translations for ${texts.length} utterances`, { transient: true });
+    }
+    return translations.map(text => String(text).trim());
+  }
+
+  getResponseText(response) {
+    return response.text() || '';
+  }
+
+  // Validate the JSON reply; when it is malformed, salvage what text we can
+  parseResponse(raw, options = {}) {
+    const body = raw.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+
+    try {
+      const parsed = JSON.parse(body);
+      if (!parsed || !Array.isArray(parsed.segments)) {
+        throw new Error('no segments array');
+      }
+
+      const segments = parsed.segments.filter(segment => segment && typeof segment.text === 'string');
+      return {
+        text: segments.map(segment => segment.text.trim()).filter(Boolean).join(' '),
+        language: typeof parsed.language === 'string' && parsed.language ? parsed.language : options.language,
+        segments
+      };
+    } catch (error) {
+      // Truncated JSON usually still holds complete "text" fields
+      const texts = [...body.matchAll(/"text"\s*:\s*"((?:[^"\\]|\\.)*)"/g)].map(match => {
+        try {
+          return JSON.parse(`"${match[1]}"`).trim();
+        } catch (parseError) {
+          return match[1].trim();
+        }
+      }).filter(Boolean);
+
+      if (texts.length > 0) {
+        console.warn(`⚠️  ${this.label} returned malformed JSON (${error.message}), kept ${texts.length} text field(s) without timing`);
+        return { text: texts.join(' '), language: options.language, segments: [] };
+      }
+
+      // Plain prose is a usable transcript; broken JSON with nothing in it is worth another try
+      if (/^[[{]/.test(body)) {
+        throw new TranscriptionError(`${this.label} returned malformed JSON: ${error.message}`, { transient: true });
+      }
+
+      console.warn(`⚠️  ${this.label} returned plain text instead of JSON, using it without timing`);
+      return { text: body, language: options.language, segments: [] };
+    }
+  }
+}
+
+module.exports = GoogleProvider;
@@ -0,0 +1,58 @@
+const GeminiProvider = require('./geminiProvider');
+const VertexProvider = require('./vertexProvider');
+const WhisperProvider = require('./whisperProvider');
+const MockProvider = require('./mockProvider');
+const TranscriptionError = require('./transcriptionError');
+
+// Every provider implements transcribe(audioPath, { language, languageHint, vocabulary, model })
+// and resolves to { text, language, segments: [{ start, end, text, language, confidence,
+// no_speech_prob }] }, with times in seconds from the start of the file and probabilities from
+// 0 to 1 (or null when the backend has none). Without `language` the provider detects it, using
+// `languageHint` if it can. `vocabulary` lists terms to spell as given, and `model` overrides
+// the configured model where the backend hosts several (Gemini and Vertex AI).
+// The service validates the segments and adds the statistics.
+// Providers that can also translate text implement translate(texts, { targetLanguage,
+// sourceLanguage }) and resolve to the translations in the same order (Whisper can't).
+const PROVIDERS = {
+  gemini: GeminiProvider,
+  vertex: VertexProvider,
+  whisper: WhisperProvider,
+  mock: MockProvider
+};
+
+// The provider used when a guild hasn't picked one
+function getDefaultProviderName(env = process.env) {
+  if (env.TRANSCRIPTION_PROVIDER) {
+    return env.TRANSCRIPTION_PROVIDER.toLowerCase();
+  }
+  // Older configurations switched to Vertex AI with a flag
+  return env.USE_VERTEX_AI === 'true' ? 'vertex' : 'gemini';
+}
+
+function isKnownProvider(name) {
+  return Object.prototype.hasOwnProperty.call(PROVIDERS, name);
+}
+
+// Environment variables a provider still needs before it can be used
+function getMissingConfig(name, env = process.env) {
+  if (!isKnownProvider(name)) {
+    throw new Error(`Unknown transcription provider "${name}" (available: ${Object.keys(PROVIDERS).join(', ')})`);
+  }
+  return PROVIDERS[name].missingConfig(env);
+}
+
+function createProvider(name, options = {}) {
+  if (!isKnownProvider(name)) {
+    throw new Error(`Unknown transcription provider "${name}" (available: ${Object.keys(PROVIDERS).join(', ')})`);
+  }
+  return new PROVIDERS[name](options);
+}
+
+module.exports = {
+  PROVIDERS,
+  TranscriptionError,
+  getDefaultProviderName,
+  isKnownProvider,
+  getMissingConfig,
+  createProvider
+};
@@ -0,0 +1,44 @@
+const { readWavInfo } = require('../../utils/wav');
+const TranscriptionError = require('./transcriptionError');
+
+// Deterministic provider for tests and local development: no network, no model.
+// Returns MOCK_TRANSCRIPT_TEXT as one segment spanning the file, or fails on demand
+// with MOCK_TRANSCRIPT_FAIL=transient|permanent.
+class MockProvider {
+  constructor() {
+    this.name = 'mock';
+    this.label = 'mock provider';
+    this.text = process.env.MOCK_TRANSCRIPT_TEXT || 'This is a mock transcription.';
+    this.fail = process.env.MOCK_TRANSCRIPT_FAIL || null;
+    this.maxRequestBytes = null;
+  }
+
+  static missingConfig() {
+    return [];
+  }
+
+  async transcribe(audioPath, options = {}) {
+    if (this.fail) {
+      throw new TranscriptionError(`Mock ${this.fail} failure`, { transient: this.fail === 'transient' });
+    }
+
+    // "Detects" the hinted language, or English
+    const duration = readWavInfo(audioPath).duration;
+    const language = options.language || options.languageHint || 'en';
+    return {
+      text: this.text,
+      language,
+      segments: [{ start: 0, end: duration, text: this.text, language, confidence: 1, no_speech_prob: 0 }]
+    };
+  }
+
+  // Tags each text with the target language so tests can see what was translated
+  async translate(texts, options = {}) {
+    if (this.fail) {
+      throw new TranscriptionError(`Mock ${this.fail} failure`, { transient: this.fail === 'transient' });
+    }
+    return texts.map(text => `[${options.targetLanguage}] ${text}`);
+  }
+}
+
+module.exports = MockProvider;
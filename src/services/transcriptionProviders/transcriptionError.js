@@ -0,0 +1,12 @@
+// Thrown when a transcription request fails. `transient` errors (rate limits, timeouts,
+// server errors) are worth retrying; anything else won't succeed on a second attempt.
+class TranscriptionError extends Error {
+  constructor(message, { transient = false, cause } = {}) {
+    super(message);
+    this.name = 'TranscriptionError';
+    this.transient = transient;
+    this.cause = cause;
+  }
+}
+
+module.exports = TranscriptionError;
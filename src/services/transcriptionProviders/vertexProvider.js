@@ -0,0 +1,42 @@
+const { VertexAI, SchemaType } = require('@google-cloud/vertexai');
+const GoogleProvider = require('./googleProvider');
+
+class VertexProvider extends GoogleProvider {
+  constructor() {
+    super(SchemaType);
+    this.name = 'vertex';
+    this.label = 'Vertex AI';
+
+    const projectId = process.env.GOOGLE_CLOUD_PROJECT || process.env.GCP_PROJECT;
+    const location = process.env.GOOGLE_CLOUD_LOCATION || 'us-central1';
+    if (!projectId) {
+      throw new Error('GOOGLE_CLOUD_PROJECT is required for the Vertex AI provider');
+    }
+
+    console.log(`✅ Using Vertex AI with project: ${projectId}, location: ${location}`);
+    this.vertexAI = new VertexAI({
+      project: projectId,
+      location: location
+    });
+  }
+
+  static missingConfig(env = process.env) {
+    return env.GOOGLE_CLOUD_PROJECT || env.GCP_PROJECT ? [] : ['GOOGLE_CLOUD_PROJECT'];
+  }
+
+  getModel(generationConfig, model = this.model) {
+    return this.vertexAI.getGenerativeModel({
+      model,
+      generationConfig
+    });
+  }
+
+  // Vertex responses have no text() helper
+  getResponseText(response) {
+    const candidate = response.candidates && response.candidates[0];
+    const parts = candidate && candidate.content ? candidate.content.parts || [] : [];
+    return parts.map(part => part.text || '').join('');
+  }
+}
+
+module.exports = VertexProvider;
@@ -0,0 +1,160 @@
+const { execFile } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const TranscriptionError = require('./transcriptionError');
+
+const ENGINES = {
+  'whisper.cpp': { binary: 'whisper-cli', model: null },
+  'faster-whisper': { binary: 'whisper-ctranslate2', model: 'small' }
+};
+
+// Runs a local Whisper CLI so audio never leaves the machine. Supports whisper.cpp
+// (whisper-cli with a ggml model file) and faster-whisper (whisper-ctranslate2).
+class WhisperProvider {
+  constructor() {
+    this.name = 'whisper';
+    this.engine = process.env.WHISPER_ENGINE || 'whisper.cpp';
+    if (!ENGINES[this.engine]) {
+      throw new Error(`Unknown WHISPER_ENGINE "${this.engine}" (expected ${Object.keys(ENGINES).join(' or ')})`);
+    }
+
+    this.label = `local ${this.engine}`;
+    this.binary = process.env.WHISPER_BINARY || ENGINES[this.engine].binary;
+    this.model = process.env.WHISPER_MODEL || ENGINES[this.engine].model;
+    this.threads = parseInt(process.env.WHISPER_THREADS) || Math.max(1, os.cpus().length - 1);
+    this.timeout = parseInt(process.env.WHISPER_TIMEOUT_MS) || 10 * 60 * 1000;
+    this.maxRequestBytes = null; // no request size limit for local files
+    // whisper.cpp only reads 16 kHz WAV, whatever TRANSCRIBE_SAMPLE_RATE says; faster-whisper resamples itself
+    this.sampleRate = this.engine === 'whisper.cpp' ? 16000 : null;
+  }
+
+  static missingConfig(env = process.env) {
+    // whisper.cpp has no default model; it needs the path to a ggml file
+    const engine = env.WHISPER_ENGINE || 'whisper.cpp';
+    return engine === 'whisper.cpp' && !env.WHISPER_MODEL ? ['WHISPER_MODEL'] : [];
+  }
+
+  async transcribe(audioPath, options = {}) {
+    const outputDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'whisper-'));
+
+    try {
+      const result = this.engine === 'whisper.cpp'
+        ? await this.runWhisperCpp(audioPath, outputDir, options)
+        : await this.runFasterWhisper(audioPath, outputDir, options);
+      return { ...result, model: path.basename(this.model) };
+    } finally {
+      await fs.promises.rm(outputDir, { recursive: true, force: true });
+    }
+  }
+
+  async runWhisperCpp(audioPath, outputDir, options) {
+    const outputBase = path.join(outputDir, 'transcript');
+    await this.run([
+      '-m', this.model,
+      '-f', audioPath,
+      '-l', options.language || 'auto', // no language means detect it
+      '-t', String(this.threads),
+      '-ojf', // full JSON includes per-token probabilities
+      '-of', outputBase,
+      '-np',
+      ...this.getPromptArgs('--prompt', options)
+    ]);
+
+    const output = JSON.parse(await fs.promises.readFile(`${outputBase}.json`, 'utf8'));
+    const segments = (output.transcription || []).map(item => ({
+      start: item.offsets.from / 1000,
+      end: item.offsets.to / 1000,
+      text: item.text.trim(),
+      confidence: this.averageTokenProbability(item.tokens),
+      no_speech_prob: null
+    }));
+
+    // whisper.cpp detects one language for the whole file
+    const language = (output.result && output.result.language) || options.language;
+    segments.forEach(segment => { segment.language = language; });
+
+    return {
+      text: segments.map(segment => segment.text).filter(Boolean).join(' '),
+      language,
+      segments
+    };
+  }
+
+  async runFasterWhisper(audioPath, outputDir, options) {
+    const args = [
+      audioPath,
+      '--model', this.model,
+      '--output_format', 'json',
+      '--output_dir', outputDir,
+      '--threads', String(this.threads)
+    ];
+    if (options.language) {
+      args.push('--language', options.language);
+    }
+    args.push(...this.getPromptArgs('--initial_prompt', options));
+    await this.run(args);
+
+    const outputFile = path.join(outputDir, `${path.parse(audioPath).name}.json`);
+    const output = JSON.parse(await fs.promises.readFile(outputFile, 'utf8'));
+    const segments = (output.segments || []).map(item => ({
+      start: item.start,
+      end: item.end,
+      text: item.text.trim(),
+      // Mean token log-probability, turned back into a probability
+      confidence: Number.isFinite(item.avg_logprob) ? Math.exp(item.avg_logprob) : null,
+      no_speech_prob: Number.isFinite(item.no_speech_prob) ? item.no_speech_prob : null,
+      language: output.language || options.language
+    }));
+
+    return {
+      text: (output.text || '').trim(),
+      language: output.language || options.language,
+      segments
+    };
+  }
+
+  // Whisper conditions on prior text rather than instructions, so the glossary is passed as
+  // a list of terms. Only the last 224 tokens of a prompt are used; keep it well short of that.
+  getPromptArgs(flag, options) {
+    if (!options.vocabulary || options.vocabulary.length === 0) return [];
+
+    let prompt = '';
+    for (const term of options.vocabulary) {
+      const next = prompt ? `${prompt}, ${term}` : term;
+      if (next.length > 600) break;
+      prompt = next;
+    }
+    return [flag, `${prompt}.`];
+  }
+
+  // whisper.cpp token probabilities, ignoring special tokens such as [_BEG_]
+  averageTokenProbability(tokens = []) {
+    const spoken = tokens.filter(token => Number.isFinite(token.p) && !/^\[_/.test(token.text));
+    if (spoken.length === 0) return null;
+    return spoken.reduce((sum, token) => sum + token.p, 0) / spoken.length;
+  }
+
+  run(args) {
+    return new Promise((resolve, reject) => {
+      execFile(this.binary, args, { timeout: this.timeout, maxBuffer: 16 * 1024 * 1024 }, (error, stdout, stderr) => {
+        if (!error) {
+          resolve(stdout);
+          return;
+        }
+
+        if (error.code === 'ENOENT') {
+          reject(new TranscriptionError(`Whisper binary "${this.binary}" not found; set WHISPER_BINARY`, { cause: error }));
+        } else if (error.killed) {
+          // Timed out, most likely because the machine is busy; worth another try
+          reject(new TranscriptionError(`${this.binary} timed out after ${this.timeout / 1000}s`, { transient: true, cause: error }));
+        } else {
+          const detail = (stderr || '').trim().split('\n').slice(-3).join(' ');
+          reject(new TranscriptionError(`${this.binary} exited with code ${error.code}: ${detail}`, { cause: error }));
+        }
+      });
+    });
+  }
+}
+
+module.exports = WhisperProvider;
@@ -0,0 +1,145 @@
+// Runs transcription for finished utterance segments while the session is still live,
+// a few at a time, so the end-of-session report only waits for the tail.
+// Jobs are kept in the transcription_jobs table so they survive a restart:
+//   pending -> running -> done
+//                      -> failed (transient error, retried after a backoff) -> running ...
+//                      -> dead   (permanent error or out of attempts, retried by an admin)
+class TranscriptionQueue {
+  constructor(dbQueries, processor) {
+    this.db = dbQueries;
+    this.processor = processor; // async (segment) => void, throws on failure
+    this.concurrency = parseInt(process.env.TRANSCRIPTION_CONCURRENCY) || 2;
+    this.maxAttempts = parseInt(process.env.TRANSCRIPTION_MAX_ATTEMPTS) || 5;
+    this.retryBaseMs = parseInt(process.env.TRANSCRIPTION_RETRY_BASE_MS) || 5000;
+    this.retryMaxMs = 5 * 60 * 1000;
+    this.drainTimeoutMs = parseInt(process.env.TRANSCRIPTION_DRAIN_TIMEOUT_MS) || 3 * 60 * 1000;
+    this.active = new Set(); // job ids being processed
+    this.waiters = []; // { sessionId, resolve }
+    this.timer = null;
+  }
+
+  // Pick up jobs left behind by a previous run and start polling for due retries
+  start() {
+    const reset = this.db.resetRunningTranscriptionJobs();
+    const counts = this.db.getAllTranscriptionJobCounts();
+    console.log(`🗂️  Transcription queue started: ${counts.pending || 0} pending, ${counts.failed || 0} awaiting retry, ${counts.dead || 0} dead${reset ? ` (${reset} resumed after restart)` : ''}`);
+
+    this.timer = setInterval(() => this.pump(), 5000);
+    this.timer.unref();
+    this.pump();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  enqueue(segment) {
+    this.db.addTranscriptionJob({
+      session_id: segment.sessionId,
+      user_id: segment.userId,
+      username: segment.username,
+      audio_file: segment.audioPath,
+      payload: JSON.stringify(this.serializeSegment(segment)),
+      max_attempts: this.maxAttempts
+    });
+
+    console.log(`🗂️  Queued utterance ${segment.index} from ${segment.username} for transcription`);
+    this.pump();
+  }
+
+  // Only the plain metadata needed to transcribe the segment later
+  serializeSegment(segment) {
+    const { index, userId, username, sessionId, audioPath, codec, startTime, endTime, offset, endOffset, duration } = segment;
+    return { index, userId, username, sessionId, audioPath, codec, startTime, endTime, offset, endOffset, duration };
+  }
+
+  pump() {
+    while (this.active.size < this.concurrency) {
+      const job = this.db.claimTranscriptionJob(Math.floor(Date.now() / 1000));
+      if (!job) break;
+
+      this.active.add(job.id);
+      this.run(job).finally(() => {
+        this.active.delete(job.id);
+        this.pump();
+        this.notifyWaiters();
+      });
+    }
+  }
+
+  async run(job) {
+    try {
+      await this.processor(JSON.parse(job.payload));
+      this.db.completeTranscriptionJob(job.id);
+    } catch (error) {
+      const attempts = job.attempts; // already counted when the job was claimed
+
+      if (error.transient && attempts < job.max_attempts) {
+        const delay = this.getBackoff(attempts);
+        // Retries are scheduled to the second, never earlier than the backoff
+        this.db.failTranscriptionJob(job.id, 'failed', error.message, Math.ceil((Date.now() + delay) / 1000));
+        console.warn(`⚠️  Transcription job ${job.id} failed (attempt ${attempts}/${job.max_attempts}), retrying in ${Math.round(delay / 1000)}s: ${error.message}`);
+      } else {
+        this.db.failTranscriptionJob(job.id, 'dead', error.message, null);
+        console.error(`❌ Transcription job ${job.id} moved to dead-letter after ${attempts} attempt(s): ${error.message}`);
+      }
+    }
+  }
+
+  // Exponential backoff with a little jitter so retries don't arrive in lockstep
+  getBackoff(attempts) {
+    const delay = Math.min(this.retryMaxMs, this.retryBaseMs * Math.pow(2, attempts - 1));
+    return Math.round(delay * (0.8 + Math.random() * 0.4));
+  }
+
+  // Send a guild's dead jobs back to the queue; all of them when no id is given
+  retryDead(guildId, jobId = null) {
+    const retried = this.db.retryDeadTranscriptionJobs(guildId, jobId);
+    if (retried > 0) {
+      this.pump();
+    }
+    return retried;
+  }
+
+  countForSession(sessionId) {
+    const counts = this.db.getTranscriptionJobCounts(sessionId);
+    return {
+      queued: (counts.pending || 0) + (counts.failed || 0),
+      running: counts.running || 0,
+      dead: counts.dead || 0
+    };
+  }
+
+  // Resolves once every job for the session has finished (or the drain timeout passes)
+  waitForSession(sessionId) {
+    const { queued, running } = this.countForSession(sessionId);
+    if (queued + running === 0) {
+      return Promise.resolve(true);
+    }
+
+    return new Promise(resolve => {
+      const waiter = { sessionId, resolve };
+      waiter.timeout = setTimeout(() => {
+        this.waiters = this.waiters.filter(w => w !== waiter);
+        console.warn(`⚠️  Stopped waiting for transcription jobs of session ${sessionId}; they will finish in the background`);
+        resolve(false);
+      }, this.drainTimeoutMs);
+      this.waiters.push(waiter);
+    });
+  }
+
+  notifyWaiters() {
+    this.waiters = this.waiters.filter(waiter => {
+      const { queued, running } = this.countForSession(waiter.sessionId);
+      if (queued + running === 0) {
+        clearTimeout(waiter.timeout);
+        waiter.resolve(true);
+        return false;
+      }
+      return true;
+    });
+  }
+}
+
+module.exports = TranscriptionQueue;
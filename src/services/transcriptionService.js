@@ -1,39 +1,107 @@
-const { GoogleGenerativeAI } = require('@google/generative-ai');
-const { VertexAI } = require('@google-cloud/vertexai');
 const fs = require('fs');
+const { readWavInfo, writeWavSlice } = require('../utils/wav');
+const VoiceActivityDetector = require('./voiceActivityDetector');
+const { normalizeLanguage } = require('../utils/language');
+const {
+  TranscriptionError,
+  getDefaultProviderName,
+  createProvider
+} = require('./transcriptionProviders');
+
+const TRANSIENT_STATUS_CODES = [408, 429, 500, 502, 503, 504];
+const TRANSIENT_ERROR_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EAI_AGAIN', 'ENOTFOUND', 'EPIPE', 'UND_ERR_SOCKET'];
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
 
 class TranscriptionService {
-  constructor(apiKey) {
-    this.useVertexAI = process.env.USE_VERTEX_AI === 'true';
-    this.model = process.env.TRANSCRIPTION_MODEL || 'gemini-1.5-flash';
-    this.language = process.env.TRANSCRIPTION_LANGUAGE || 'en';
-    
-    if (this.useVertexAI) {
-      // Initialize Vertex AI
-      const projectId = process.env.GOOGLE_CLOUD_PROJECT || process.env.GCP_PROJECT;
-      const location = process.env.GOOGLE_CLOUD_LOCATION || 'us-central1';
-      
-      if (!projectId) {
-        console.warn('⚠️  GOOGLE_CLOUD_PROJECT not set, falling back to API key');
-        this.useVertexAI = false;
-        this.genAI = new GoogleGenerativeAI(apiKey);
-      } else {
-        console.log(`✅ Using Vertex AI with project: ${projectId}, location: ${location}`);
-        this.vertexAI = new VertexAI({
-          project: projectId,
-          location: location
-        });
+  constructor(apiKey, cache = null) {
+    this.apiKey = apiKey;
+    this.cache = cache; // TranscriptionCache, optional
+    this.defaultProvider = getDefaultProviderName();
+    this.providers = new Map(); // name -> provider instance, created on first use
+    // A language code forces that language; 'auto' detects it per segment
+    this.language = normalizeLanguage(process.env.TRANSCRIPTION_LANGUAGE) || 'auto';
+
+    // Audio above the provider's request limit is split into chunks
+    this.chunkOverlap = (parseInt(process.env.TRANSCRIPTION_CHUNK_OVERLAP_MS) || 1000) / 1000;
+    this.chunkConcurrency = parseInt(process.env.TRANSCRIPTION_CHUNK_CONCURRENCY) || 2;
+    this.voiceActivityDetector = new VoiceActivityDetector();
+
+    console.log(`✅ Default transcription provider: ${this.defaultProvider}`);
+  }
+
+  getProvider(name = null) {
+    const providerName = name || this.defaultProvider;
+
+    if (!this.providers.has(providerName)) {
+      try {
+        this.providers.set(providerName, createProvider(providerName, { apiKey: this.apiKey }));
+      } catch (error) {
+        // A misconfigured provider fails every time, so don't retry it
+        throw new TranscriptionError(`Transcription provider "${providerName}" unavailable: ${error.message}`, { cause: error });
+      }
+    }
+
+    return this.providers.get(providerName);
+  }
+
+  // Translation uses the transcription provider when it can translate; otherwise the
+  // TRANSLATION_PROVIDER fallback, so a local-only setup never sends text out unless asked to
+  getTranslationProvider(name = null) {
+    const provider = this.getProvider(name);
+    if (typeof provider.translate === 'function') {
+      return provider;
+    }
+
+    const fallback = process.env.TRANSLATION_PROVIDER;
+    if (fallback) {
+      const translator = this.getProvider(fallback.toLowerCase());
+      if (typeof translator.translate === 'function') {
+        return translator;
       }
-    } else {
-      // Use standard Gemini API with key
-      this.genAI = new GoogleGenerativeAI(apiKey);
     }
+    return null;
+  }
+
+  // options: { provider, targetLanguage, sourceLanguage }. Resolves to one translation per
+  // text, or null when no configured provider can translate.
+  async translateTexts(texts, options = {}) {
+    try {
+      const translator = this.getTranslationProvider(options.provider);
+      if (!translator) {
+        console.warn(`⚠️  No transcription provider available for translation; set TRANSLATION_PROVIDER`);
+        return null;
+      }
+
+      console.log(`🌐 Translating ${texts.length} utterance(s) into ${options.targetLanguage} with ${translator.label}`);
+      return await translator.translate(texts, options);
+    } catch (error) {
+      console.error('❌ Translation error:', error.message);
+      throw this.toTranscriptionError(error);
+    }
+  }
+
+  // A speaker's preferred language is a hint for detection, so they can still switch
+  // languages; without one, a configured TRANSCRIPTION_LANGUAGE is enforced
+  resolveLanguage(options = {}) {
+    if (options.language) {
+      return { language: options.language, languageHint: null };
+    }
+    if (options.languageHint) {
+      return { language: null, languageHint: options.languageHint };
+    }
+    return { language: this.language === 'auto' ? null : this.language, languageHint: null };
   }
 
+  // options: { provider, model, language, languageHint, vocabulary, corrections, bypassCache,
+  // cacheResult (false to not store the result), guildId (whose audio it is, for the cache) }
   async transcribeAudio(audioPath, options = {}) {
     try {
-      const serviceName = this.useVertexAI ? 'Vertex AI' : 'Gemini API';
-      console.log(`🎤 Transcribing audio with ${serviceName}: ${audioPath}`);
+      const provider = this.getProvider(options.provider);
+      const requestOptions = { ...options, ...this.resolveLanguage(options) };
+      console.log(`🎤 Transcribing audio with ${provider.label}: ${audioPath}`);
 
       // Check if file exists and has content
       const stats = fs.statSync(audioPath);
@@ -43,138 +111,191 @@ class TranscriptionService {
           text: '',
           duration: 0,
           wordCount: 0,
-          confidence: 0
+          confidence: null,
+          segments: [],
+          requests: 0
         };
       }
 
-      // File size limits (20MB for audio)
-      const maxSize = 20 * 1024 * 1024; // 20MB
-      if (stats.size > maxSize) {
-        console.warn(`⚠️  Audio file too large (${(stats.size / 1024 / 1024).toFixed(2)}MB), splitting required`);
-        return await this.transcribeLargeFile(audioPath, options);
+      // The same audio with the same model and prompt gives the same answer; don't pay twice.
+      // Results are cached before corrections so newly added corrections still apply.
+      const cacheKey = this.cache && !options.bypassCache
+        ? this.cache.getKey(audioPath, provider, requestOptions)
+        : null;
+      const cached = cacheKey ? this.cache.get(cacheKey) : null;
+      if (cached) {
+        console.log(`♻️  Using cached ${provider.label} transcription for ${audioPath}`);
+        return this.applyCorrections({ ...cached, requests: 0, cached: true }, options.corrections);
       }
 
-      // Read the audio file
-      const audioData = fs.readFileSync(audioPath);
-      const base64Audio = audioData.toString('base64');
-
-      // Get the generative model
-      let model;
-      if (this.useVertexAI) {
-        model = this.vertexAI.getGenerativeModel({
-          model: this.model
-        });
+      let transcription;
+      if (provider.maxRequestBytes && stats.size > provider.maxRequestBytes) {
+        // Too large for a single request to this provider
+        console.warn(`⚠️  Audio file too large (${(stats.size / 1024 / 1024).toFixed(2)}MB), splitting into chunks`);
+        transcription = await this.transcribeWithChunking(audioPath, provider, requestOptions);
       } else {
-        model = this.genAI.getGenerativeModel({
-          model: this.model
-        });
+        transcription = await this.transcribeSingle(audioPath, provider, requestOptions, stats.size);
       }
 
-      // Prepare the prompt for transcription
-      const languageInstruction = options.language || this.language;
-      const prompt = `Transcribe the following audio accurately.
-The audio is in ${languageInstruction} language.
-Provide only the transcription text without any additional commentary or formatting.
-Be precise and include all spoken words.`;
-
-      // Create the request with audio data
-      const result = await model.generateContent([
-        {
-          inlineData: {
-            mimeType: 'audio/wav',
-            data: base64Audio
-          }
-        },
-        { text: prompt }
-      ]);
-
-      const response = await result.response;
-      const transcriptionText = response.text();
-
-      // Calculate statistics
-      const wordCount = transcriptionText ? transcriptionText.split(/\s+/).filter(word => word.length > 0).length : 0;
-
-      // Estimate duration based on file size (approximate)
-      const estimatedDuration = stats.size / (48000 * 2 * 2); // 48kHz, 16-bit, stereo
-
-      console.log(`✅ ${serviceName} transcription complete: ${wordCount} words`);
-
-      return {
-        text: transcriptionText || '',
-        language: languageInstruction,
-        duration: estimatedDuration,
-        wordCount: wordCount,
-        confidence: this.calculateConfidence(transcriptionText, wordCount)
-      };
+      if (cacheKey && options.cacheResult !== false) {
+        this.cache.set(cacheKey, transcription, options.guildId || null);
+      }
+      return this.applyCorrections(transcription, options.corrections);
     } catch (error) {
       console.error('❌ Transcription error:', error.message);
+      throw this.toTranscriptionError(error);
+    }
+  }
+
+  // One request for the whole file
+  async transcribeSingle(audioPath, provider, requestOptions, fileSize) {
+    const result = await provider.transcribe(audioPath, requestOptions);
+    const text = (result.text || '').trim();
+
+    // Calculate statistics
+    const wordCount = this.countWords(text);
+    const duration = this.getAudioDuration(audioPath, fileSize);
+    const segments = this.normalizeSegments(result.segments, duration, text);
 
-      // Return empty transcription on error
-      return {
-        text: `[Transcription failed: ${error.message}]`,
-        duration: 0,
-        wordCount: 0,
-        confidence: 0,
-        error: error.message
-      };
+    console.log(`✅ ${provider.label} transcription complete: ${wordCount} words in ${segments.length} segment(s)`);
+
+    return {
+      text,
+      language: this.detectUtteranceLanguage(segments, result.language || requestOptions.language),
+      duration,
+      wordCount: wordCount,
+      confidence: this.calculateConfidence(segments),
+      segments,
+      provider: provider.name,
+      model: result.model || null,
+      requests: 1
+    };
+  }
+
+  // Fix known misrecognitions in the text and every segment.
+  // corrections: [{ term, replacement }], matched as whole words ignoring case and spacing
+  applyCorrections(transcription, corrections) {
+    if (!corrections || corrections.length === 0) {
+      return transcription;
     }
+
+    const patterns = corrections.map(({ term, replacement }) => {
+      const words = term.trim().split(/\s+/).map(escapeRegExp).join('\\s+');
+      return { pattern: new RegExp(`(?<![\\p{L}\\p{N}])${words}(?![\\p{L}\\p{N}])`, 'giu'), replacement };
+    });
+    const correct = text => patterns.reduce((result, { pattern, replacement }) => result.replace(pattern, () => replacement), text || '');
+
+    const text = correct(transcription.text);
+    return {
+      ...transcription,
+      text,
+      wordCount: this.countWords(text),
+      segments: (transcription.segments || []).map(segment => ({ ...segment, text: correct(segment.text) }))
+    };
   }
 
-  async transcribeLargeFile(audioPath, options = {}) {
-    try {
-      console.log('📦 Processing large audio file...');
+  // Wrap provider errors so the job queue knows whether a retry can help
+  toTranscriptionError(error) {
+    if (error instanceof TranscriptionError) {
+      return error;
+    }
+    return new TranscriptionError(error.message, { transient: this.isTransientError(error), cause: error });
+  }
 
-      // For large files, we can chunk them
-      // For now, try with the file directly but with a warning
-      const stats = fs.statSync(audioPath);
+  isTransientError(error) {
+    const status = error.status || error.code || (error.response && error.response.status);
+    if (TRANSIENT_STATUS_CODES.includes(Number(status))) {
+      return true;
+    }
+    if (TRANSIENT_ERROR_CODES.includes(error.code) || (error.cause && TRANSIENT_ERROR_CODES.includes(error.cause.code))) {
+      return true;
+    }
 
-      // If extremely large, reject
-      if (stats.size > 50 * 1024 * 1024) {
-        console.error('❌ Audio file too large (>50MB)');
-        return {
-          text: '[Audio file too large for transcription (max 50MB)]',
-          duration: 0,
-          wordCount: 0,
-          confidence: 0
-        };
-      }
+    // The SDKs often only put the HTTP status in the message
+    const message = error.message || '';
+    return /\[(408|429|500|502|503|504)[ \]]|rate limit|quota|overloaded|unavailable|timed? ?out|fetch failed|socket hang up/i.test(message);
+  }
 
-      // Try to transcribe anyway
-      return await this.transcribeAudio(audioPath, options);
+  countWords(text) {
+    return text ? text.split(/\s+/).filter(word => word.length > 0).length : 0;
+  }
+
+  // Duration from the WAV header; preprocessing decides the format, so don't assume one
+  getAudioDuration(audioPath, fileSize) {
+    try {
+      return readWavInfo(audioPath).duration;
     } catch (error) {
-      console.error('❌ Large file transcription error:', error);
-      return {
-        text: '[Large file transcription failed]',
-        duration: 0,
-        wordCount: 0,
-        confidence: 0
-      };
+      console.warn(`⚠️  Could not read WAV header, estimating duration: ${error.message}`);
+      return fileSize / (16000 * 2); // 16kHz, 16-bit, mono
     }
   }
 
-  calculateConfidence(transcriptionText, wordCount) {
-    // Estimate confidence based on response quality
-    if (!transcriptionText || transcriptionText.length === 0) {
-      return 0;
-    }
+  // Check provider segments against the audio: times inside the file and in order, probabilities
+  // between 0 and 1 (null when unknown). Without usable segments the whole text becomes one.
+  normalizeSegments(segments, duration, text) {
+    const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+    const probability = value => (Number.isFinite(value) ? clamp(value, 0, 1) : null);
+
+    const valid = (Array.isArray(segments) ? segments : [])
+      .filter(segment => segment && typeof segment.text === 'string' && segment.text.trim())
+      .map(segment => ({
+        start: Number.isFinite(segment.start) ? clamp(segment.start, 0, duration) : null,
+        end: Number.isFinite(segment.end) ? clamp(segment.end, 0, duration) : null,
+        text: segment.text.trim(),
+        language: normalizeLanguage(segment.language),
+        confidence: probability(segment.confidence),
+        no_speech_prob: probability(segment.no_speech_prob)
+      }));
 
-    // Check for error indicators
-    if (transcriptionText.includes('[Transcription failed')) {
-      return 0;
+    if (valid.length === 0) {
+      return text ? [{ start: 0, end: duration, text, language: null, confidence: null, no_speech_prob: null }] : [];
     }
 
-    // Basic heuristic: longer transcriptions with more words tend to be more reliable
-    if (wordCount > 20) {
-      return 0.9;
-    } else if (wordCount > 10) {
-      return 0.8;
-    } else if (wordCount > 5) {
-      return 0.7;
-    } else if (wordCount > 0) {
-      return 0.6;
+    // Fill in missing times from the neighbours, then keep each segment within its own span
+    valid.forEach((segment, i) => {
+      if (segment.start === null) {
+        segment.start = i > 0 ? valid[i - 1].end : 0;
+      }
+    });
+    valid.forEach((segment, i) => {
+      if (segment.end === null || segment.end < segment.start) {
+        segment.end = i < valid.length - 1 && valid[i + 1].start !== null && valid[i + 1].start >= segment.start
+          ? valid[i + 1].start
+          : duration;
+      }
+    });
+
+    return valid.sort((a, b) => a.start - b.start);
+  }
+
+  // The language spoken for most of the utterance, by segment length; segments without a
+  // language of their own take the one reported for the whole file
+  detectUtteranceLanguage(segments, fallback) {
+    const fileLanguage = normalizeLanguage(fallback);
+    const totals = {};
+
+    segments.forEach(segment => {
+      segment.language = segment.language || fileLanguage;
+      if (segment.language) {
+        totals[segment.language] = (totals[segment.language] || 0) + Math.max(0.1, segment.end - segment.start);
+      }
+    });
+
+    const ranked = Object.entries(totals).sort((a, b) => b[1] - a[1]);
+    return ranked.length > 0 ? ranked[0][0] : fileLanguage;
+  }
+
+  // Utterance confidence: the segment confidences weighted by segment length, or null
+  // when the provider gave none
+  calculateConfidence(segments) {
+    const scored = segments.filter(segment => segment.confidence !== null);
+    if (scored.length === 0) {
+      return null;
     }
 
-    return 0.5;
+    const weightOf = segment => Math.max(0.1, segment.end - segment.start);
+    const totalWeight = scored.reduce((sum, segment) => sum + weightOf(segment), 0);
+    return scored.reduce((sum, segment) => sum + segment.confidence * weightOf(segment), 0) / totalWeight;
   }
 
   async transcribeMultiple(audioPaths, options = {}) {
@@ -203,12 +324,112 @@ Be precise and include all spoken words.`;
     }
   }
 
-  // Alternative method using streaming for very large files
-  async transcribeWithChunking(audioPath, options = {}) {
-    // This could be implemented for files that need to be split into chunks
-    // For now, return to standard method
-    return await this.transcribeAudio(audioPath, options);
+  // Split long audio at pauses into pieces under the request size limit, transcribe them
+  // with bounded concurrency and stitch the text back together
+  async transcribeWithChunking(audioPath, provider, options = {}) {
+    const analysis = await this.voiceActivityDetector.analyze(audioPath);
+    const { info } = analysis;
+
+    // Leave a little room for the WAV header and rounding at the cut points
+    const maxChunkSeconds = (provider.maxRequestBytes * 0.98) / info.byteRate;
+    const splitPoints = this.voiceActivityDetector.findSplitPoints(analysis, maxChunkSeconds - this.chunkOverlap);
+
+    // Each chunk reaches a little past its cut point so words on the boundary aren't lost
+    const boundaries = [0, ...splitPoints, analysis.duration];
+    const chunks = [];
+    for (let i = 0; i < boundaries.length - 1; i++) {
+      const isLast = i === boundaries.length - 2;
+      chunks.push({
+        index: i,
+        start: boundaries[i],
+        end: isLast ? boundaries[i + 1] : Math.min(analysis.duration, boundaries[i + 1] + this.chunkOverlap),
+        path: audioPath.replace(/\.wav$/, `.chunk${i}.wav`)
+      });
+    }
+
+    console.log(`📦 Transcribing ${chunks.length} chunks of up to ${maxChunkSeconds.toFixed(0)}s (${this.chunkConcurrency} at a time)`);
+
+    try {
+      await this.runWithConcurrency(chunks, this.chunkConcurrency, async chunk => {
+        await writeWavSlice(audioPath, chunk.path, info, chunk.start, chunk.end);
+        const result = await provider.transcribe(chunk.path, options);
+        chunk.text = (result.text || '').trim();
+        chunk.language = result.language;
+        chunk.model = result.model;
+        chunk.segments = this.normalizeSegments(result.segments, chunk.end - chunk.start, chunk.text);
+        this.cleanupAudioFile(chunk.path);
+        console.log(`✅ Chunk ${chunk.index + 1}/${chunks.length} transcribed`);
+      });
+    } finally {
+      chunks.forEach(chunk => this.cleanupAudioFile(chunk.path));
+    }
+
+    // Stitch in order, dropping words repeated across each overlap
+    let text = '';
+    const segments = [];
+    chunks.forEach((chunk, i) => {
+      const chunkText = text ? this.removeOverlap(text, chunk.text) : chunk.text;
+      if (chunkText) {
+        text = text ? `${text} ${chunkText}` : chunkText;
+      }
+
+      // Segments move to file time; those starting in the overlap belong to the next chunk
+      const nextStart = i < chunks.length - 1 ? chunks[i + 1].start : Infinity;
+      chunk.segments
+        .map(segment => ({
+          ...segment,
+          start: segment.start + chunk.start,
+          end: segment.end + chunk.start,
+          language: segment.language || normalizeLanguage(chunk.language)
+        }))
+        .filter(segment => segment.start < nextStart)
+        .forEach(segment => segments.push(segment));
+    });
+
+    const wordCount = this.countWords(text);
+    console.log(`✅ Chunked transcription complete: ${wordCount} words from ${chunks.length} chunks`);
+
+    return {
+      text,
+      language: this.detectUtteranceLanguage(segments, chunks[0].language || options.language),
+      duration: analysis.duration,
+      wordCount,
+      confidence: this.calculateConfidence(segments),
+      segments,
+      provider: provider.name,
+      model: chunks[0].model || null,
+      requests: chunks.length
+    };
+  }
+
+  async runWithConcurrency(items, limit, worker) {
+    const queue = [...items];
+    const runners = Array.from({ length: Math.min(limit, queue.length) }, async () => {
+      while (queue.length > 0) {
+        await worker(queue.shift());
+      }
+    });
+    await Promise.all(runners);
+  }
+
+  // Drop the longest run of leading words in `next` that repeats the end of `previous`
+  removeOverlap(previous, next) {
+    const normalize = word => word.toLowerCase().replace(/[^\p{L}\p{N}']/gu, '');
+    const previousWords = previous.split(/\s+/).filter(Boolean);
+    const nextWords = next.split(/\s+/).filter(Boolean);
+    const maxOverlap = Math.min(30, previousWords.length, nextWords.length);
+
+    for (let size = maxOverlap; size >= 2; size--) {
+      const tail = previousWords.slice(-size).map(normalize).join(' ');
+      const head = nextWords.slice(0, size).map(normalize).join(' ');
+      if (tail === head) {
+        return nextWords.slice(size).join(' ');
+      }
+    }
+
+    return nextWords.join(' ');
   }
 }
 
 module.exports = TranscriptionService;
+module.exports.TranscriptionError = TranscriptionError;
@@ -0,0 +1,75 @@
+// Accounts for the audio each guild sends for transcription and enforces monthly quotas.
+// Usage is counted per calendar month (UTC). A guild over its quota either stops recording
+// or carries on with a cheaper model, depending on its quota action.
+const ACTIONS = ['stop', 'downgrade'];
+
+class UsageTracker {
+  constructor(dbQueries) {
+    this.db = dbQueries;
+    this.defaultQuotaMinutes = parseFloat(process.env.USAGE_MONTHLY_QUOTA_MINUTES) || 0; // 0 means unlimited
+    this.defaultAction = ACTIONS.includes(process.env.USAGE_QUOTA_ACTION) ? process.env.USAGE_QUOTA_ACTION : 'downgrade';
+    // Cheaper model per provider for the 'downgrade' action. Only providers that take a model
+    // per request have one; the others carry on with their usual model.
+    this.fallbackModels = {
+      gemini: process.env.USAGE_FALLBACK_MODEL || 'gemini-1.5-flash-8b',
+      vertex: process.env.USAGE_FALLBACK_MODEL_VERTEX || null
+    };
+  }
+
+  static get actions() {
+    return ACTIONS;
+  }
+
+  // The provider's fallback model, or null when it has none
+  getFallbackModel(providerName) {
+    return this.fallbackModels[providerName] || null;
+  }
+
+  // Unix timestamp of the start of the current billing period
+  getPeriodStart(date = new Date()) {
+    return Math.floor(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1) / 1000);
+  }
+
+  record(usage) {
+    try {
+      this.db.addUsageRecord({
+        guild_id: usage.guildId,
+        session_id: usage.sessionId,
+        user_id: usage.userId,
+        username: usage.username,
+        provider: usage.provider,
+        model: usage.model,
+        audio_seconds: usage.audioSeconds,
+        audio_bytes: usage.audioBytes,
+        requests: usage.requests,
+        success: !usage.error,
+        error: usage.error ? usage.error.slice(0, 500) : null
+      });
+    } catch (error) {
+      // Accounting never costs a transcription
+      console.error('Error recording transcription usage:', error);
+    }
+  }
+
+  // The guild's own quota where it has one, the environment's otherwise
+  getQuota(guildId) {
+    const minutes = this.db.getGuildSetting(guildId, 'usage_quota_minutes');
+    const action = this.db.getGuildSetting(guildId, 'usage_quota_action');
+
+    return {
+      minutes: minutes !== null ? parseFloat(minutes) || 0 : this.defaultQuotaMinutes,
+      action: ACTIONS.includes(action) ? action : this.defaultAction
+    };
+  }
+
+  // { used, limit, action, exceeded } with used and limit in seconds (limit null when unlimited)
+  getQuotaStatus(guildId) {
+    const quota = this.getQuota(guildId);
+    const used = this.db.getUsageSummary(guildId, this.getPeriodStart()).audio_seconds;
+    const limit = quota.minutes > 0 ? quota.minutes * 60 : null;
+
+    return { used, limit, action: quota.action, exceeded: limit !== null && used >= limit };
+  }
+}
+
+module.exports = UsageTracker;
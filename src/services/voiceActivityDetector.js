@@ -0,0 +1,173 @@
+const fs = require('fs');
+const { readWavInfo, writeWavSlice } = require('../utils/wav');
+
+class VoiceActivityDetector {
+  constructor() {
+    this.enabled = process.env.VAD_ENABLED !== 'false';
+    this.thresholdDb = parseFloat(process.env.VAD_THRESHOLD_DB) || -45; // minimum level counted as voice
+    this.frameMs = parseInt(process.env.VAD_FRAME_MS) || 30;
+    this.minSpeechMs = parseInt(process.env.VAD_MIN_SPEECH_MS) || 250; // less voiced audio than this is treated as silence
+    this.paddingMs = parseInt(process.env.VAD_PADDING_MS) || 200; // kept around speech when trimming
+    this.tailMs = 300; // the silence that ends a Discord utterance
+  }
+
+  // Measure per-frame energy of a 16-bit PCM WAV file, reading it in fixed-size blocks
+  async analyze(wavPath) {
+    const info = readWavInfo(wavPath);
+    if (info.bitsPerSample !== 16) {
+      throw new Error(`VAD needs 16-bit PCM, got ${info.bitsPerSample}-bit`);
+    }
+
+    const frameBytes = Math.max(info.blockAlign, Math.floor(info.sampleRate * this.frameMs / 1000) * info.blockAlign);
+    const frameCount = Math.floor(info.dataSize / frameBytes);
+    const levels = new Float32Array(frameCount); // dBFS per frame
+
+    const handle = await fs.promises.open(wavPath, 'r');
+    try {
+      const framesPerRead = 256;
+      const buffer = Buffer.alloc(frameBytes * framesPerRead);
+
+      for (let frame = 0; frame < frameCount; frame += framesPerRead) {
+        const framesToRead = Math.min(framesPerRead, frameCount - frame);
+        const { bytesRead } = await handle.read(buffer, 0, framesToRead * frameBytes, info.dataOffset + frame * frameBytes);
+
+        for (let i = 0; i < framesToRead && (i + 1) * frameBytes <= bytesRead; i++) {
+          levels[frame + i] = this.frameLevel(buffer, i * frameBytes, frameBytes);
+        }
+      }
+    } finally {
+      await handle.close();
+    }
+
+    return this.classify(levels, info);
+  }
+
+  frameLevel(buffer, start, length) {
+    let sumSquares = 0;
+    const samples = length / 2;
+
+    for (let offset = start; offset < start + length; offset += 2) {
+      const sample = buffer.readInt16LE(offset) / 32768;
+      sumSquares += sample * sample;
+    }
+
+    const rms = Math.sqrt(sumSquares / samples);
+    return rms > 0 ? 20 * Math.log10(rms) : -100;
+  }
+
+  classify(levels, info) {
+    const frameSeconds = this.frameMs / 1000;
+
+    // Adapt to the recording's noise floor so hissy mics don't count as constant speech
+    const noiseFloor = this.estimateNoiseFloor(levels);
+    const threshold = noiseFloor === null ? this.thresholdDb : Math.max(this.thresholdDb, noiseFloor + 10);
+
+    const voiced = new Uint8Array(levels.length);
+    let voicedFrames = 0;
+    let firstVoiced = -1;
+    let lastVoiced = -1;
+
+    for (let i = 0; i < levels.length; i++) {
+      if (levels[i] >= threshold) {
+        voiced[i] = 1;
+        voicedFrames++;
+        if (firstVoiced === -1) firstVoiced = i;
+        lastVoiced = i;
+      }
+    }
+
+    const voicedDuration = voicedFrames * frameSeconds;
+
+    return {
+      duration: info.duration,
+      voicedDuration,
+      voicedFrames,
+      hasSpeech: voicedDuration * 1000 >= this.minSpeechMs,
+      speechStart: firstVoiced === -1 ? 0 : firstVoiced * frameSeconds,
+      speechEnd: lastVoiced === -1 ? 0 : (lastVoiced + 1) * frameSeconds,
+      frameSeconds,
+      threshold,
+      voiced,
+      info
+    };
+  }
+
+  // The level of the background between words, or null when the clip doesn't show it.
+  // Discord only sends audio while someone talks, so the quietest frames of most clips are
+  // quiet speech; only a tail clearly quieter than the rest is silence we can measure.
+  estimateNoiseFloor(levels) {
+    const tailFrames = Math.round(this.tailMs / this.frameMs);
+    if (levels.length < tailFrames * 2) {
+      return null;
+    }
+
+    const median = values => Array.from(values).sort((a, b) => a - b)[Math.floor(values.length / 2)];
+    const tail = median(levels.subarray(levels.length - tailFrames));
+    const body = median(levels.subarray(0, levels.length - tailFrames));
+    return body - tail >= 10 ? tail : null;
+  }
+
+  // Cut leading and trailing silence (keeping some padding) by rewriting the WAV file in place
+  async trim(wavPath, analysis) {
+    const padding = this.paddingMs / 1000;
+    const start = Math.max(0, analysis.speechStart - padding);
+    const end = Math.min(analysis.duration, analysis.speechEnd + padding);
+
+    if (start === 0 && end >= analysis.duration) {
+      return { trimStart: 0, duration: analysis.duration };
+    }
+
+    const tempPath = `${wavPath}.trim`;
+    const slice = await writeWavSlice(wavPath, tempPath, analysis.info, start, end);
+    await fs.promises.rename(tempPath, wavPath);
+
+    return { trimStart: slice.start, duration: slice.duration };
+  }
+
+  // Pick cut points for splitting a recording into pieces no longer than maxSeconds,
+  // preferring the middle of the longest pause near the end of each piece
+  findSplitPoints(analysis, maxSeconds) {
+    const { voiced, frameSeconds, duration } = analysis;
+    const points = [];
+    let start = 0;
+
+    while (duration - start > maxSeconds) {
+      const windowStart = Math.floor((start + maxSeconds * 0.6) / frameSeconds);
+      const windowEnd = Math.floor((start + maxSeconds) / frameSeconds);
+
+      let best = null;
+      let runStart = -1;
+      for (let i = windowStart; i <= windowEnd && i < voiced.length; i++) {
+        if (!voiced[i]) {
+          if (runStart === -1) runStart = i;
+          const runLength = i - runStart + 1;
+          if (!best || runLength >= best.length) {
+            best = { length: runLength, middle: (runStart + i + 1) / 2 };
+          }
+        } else {
+          runStart = -1;
+        }
+      }
+
+      // No pause in the window: cut hard at the limit
+      const cut = best ? best.middle * frameSeconds : start + maxSeconds;
+      points.push(cut);
+      start = cut;
+    }
+
+    return points;
+  }
+
+  // Analyze and trim in one go. Returns the analysis plus how much was cut from the front.
+  async process(wavPath) {
+    const analysis = await this.analyze(wavPath);
+    if (!analysis.hasSpeech) {
+      return { ...analysis, trimStart: 0 };
+    }
+
+    const trimmed = await this.trim(wavPath, analysis);
+    return { ...analysis, ...trimmed };
+  }
+}
+
+module.exports = VoiceActivityDetector;
@@ -5,7 +5,6 @@ const {
   getVoiceConnection,
   entersState
 } = require('@discordjs/voice');
-const prism = require('prism-media');
 
 const { EventEmitter } = require('events');
 
@@ -16,16 +15,40 @@ class VoiceConnectionHandler extends EventEmitter {
     this.audioRecorder = audioRecorder;
     this.connections = new Map(); // channelId -> connection
     this.receivers = new Map(); // channelId -> receiver
+    this.suspended = new Map(); // channelId -> { sessionId, channel, guild, timer } while reconnecting
+    this.pendingJoins = new Map(); // channelId -> promise of a join that is still connecting
+    // How long a session waits for the bot to get back in after losing its voice connection
+    this.gracePeriodMs = parseInt(process.env.RECONNECT_GRACE_PERIOD_MS) || 120000;
+    this.reconnectRetryMs = 5000;
   }
 
   async joinChannel(channel, guild) {
+    // Check if already connected
+    if (this.connections.has(channel.id)) {
+      console.log('Already connected to this channel');
+      return this.connections.get(channel.id);
+    }
+
+    // The reconnect loop, auto-join and !join can all ask at once; they share one join so
+    // the channel never ends up with two sessions
+    const pending = this.pendingJoins.get(channel.id);
+    if (pending) {
+      console.log('Already joining this channel');
+      return pending;
+    }
+
+    const join = this.connect(channel, guild).finally(() => this.pendingJoins.delete(channel.id));
+    this.pendingJoins.set(channel.id, join);
+    return join;
+  }
+
+  async connect(channel, guild) {
     try {
       console.log(`🎙️  Joining voice channel: ${channel.name}`);
 
-      // Check if already connected
-      if (this.connections.has(channel.id)) {
-        console.log('Already connected to this channel');
-        return this.connections.get(channel.id);
+      // A guild that has used up its quota doesn't record until the next billing period
+      if (!this.sessionManager.canRecord(guild.id)) {
+        throw new Error('This server has used its monthly transcription quota; recording resumes next month');
       }
 
       // Join the voice channel
@@ -40,8 +63,15 @@ class VoiceConnectionHandler extends EventEmitter {
       // Wait for the connection to be ready
       await entersState(connection, VoiceConnectionStatus.Ready, 30000);
 
-      // Create session
-      const sessionId = this.sessionManager.createSession(channel, guild);
+      // Carry on with the session the lost connection left suspended, or start a new one
+      const resuming = this.suspended.get(channel.id);
+      if (resuming) {
+        clearTimeout(resuming.timer);
+        this.suspended.delete(channel.id);
+      }
+      const sessionId = resuming
+        ? this.sessionManager.resumeSession(channel.id)
+        : this.sessionManager.createSession(channel, guild);
 
       // Store connection
       this.connections.set(channel.id, {
@@ -54,12 +84,8 @@ class VoiceConnectionHandler extends EventEmitter {
       // Set up audio receiving
       this.setupAudioReceiver(connection, channel, sessionId);
 
-      // Add existing participants
-      channel.members.forEach(member => {
-        if (!member.user.bot) {
-          this.sessionManager.addParticipant(sessionId, member.user, channel.id);
-        }
-      });
+      // Add existing participants; after a reconnect, catch up with who came and went
+      await this.syncParticipants(sessionId, channel);
 
       // Add error handling listeners
       connection.on('error', (error) => {
@@ -77,11 +103,17 @@ class VoiceConnectionHandler extends EventEmitter {
           console.log('✅ Reconnected');
         } catch (error) {
           console.error('❌ Failed to reconnect, destroying connection');
-          this.leaveChannel(channel.id).catch(console.error);
+          this.suspendChannel(channel.id).catch(console.error);
         }
       });
 
-      console.log(`✅ Successfully joined ${channel.name} - Session: ${sessionId}`);
+      if (resuming) {
+        console.log(`✅ Rejoined ${channel.name} - Resumed session: ${sessionId}`);
+        this.emit('sessionResumed', { sessionId, channel, guild });
+      } else {
+        console.log(`✅ Successfully joined ${channel.name} - Session: ${sessionId}`);
+        this.emit('sessionStarted', { sessionId, channel, guild });
+      }
 
       return connection;
     } catch (error) {
@@ -90,11 +122,124 @@ class VoiceConnectionHandler extends EventEmitter {
     }
   }
 
+  // Record everyone in the channel who isn't a participant yet, and let go of participants
+  // who left while the bot wasn't there to see it
+  async syncParticipants(sessionId, channel) {
+    const session = this.sessionManager.getActiveSession(channel.id);
+    const present = new Set(channel.members.filter(member => !member.user.bot).map(member => member.id));
+
+    for (const userId of Array.from(session.participants)) {
+      if (!present.has(userId)) {
+        await this.sessionManager.removeParticipant(sessionId, userId, channel.id);
+      }
+    }
+
+    channel.members.forEach(member => {
+      if (!member.user.bot && !session.participants.has(member.id)) {
+        this.sessionManager.addParticipant(sessionId, member.user, channel.id);
+      }
+    });
+  }
+
+  // The connection is gone and didn't come back on its own. Keep the session open for the
+  // grace period and try to rejoin; it only ends (and reports) if the period runs out.
+  async suspendChannel(channelId) {
+    const connectionData = this.connections.get(channelId);
+    if (!connectionData) return;
+
+    const { sessionId, channel, guild } = connectionData;
+    this.connections.delete(channelId);
+    this.receivers.delete(channelId);
+    try {
+      connectionData.connection.destroy();
+    } catch (error) {
+      // Already destroyed
+    }
+
+    await this.sessionManager.suspendSession(channelId);
+
+    const suspended = { sessionId, channel, guild };
+    suspended.timer = setTimeout(() => {
+      this.endSuspendedSession(channelId).catch(console.error);
+    }, this.gracePeriodMs);
+    this.suspended.set(channelId, suspended);
+
+    console.warn(`⏸️  Lost the connection to ${channel.name}; keeping session ${sessionId} open for ${Math.round(this.gracePeriodMs / 1000)}s`);
+    this.reconnect(channelId);
+  }
+
+  // Keep trying to rejoin a suspended channel while it has people in it. Anyone joining the
+  // channel (auto-join) or !join also resumes the session.
+  async reconnect(channelId) {
+    const suspended = this.suspended.get(channelId);
+
+    while (suspended && this.suspended.get(channelId) === suspended) {
+      if (suspended.channel.members.filter(member => !member.user.bot).size === 0) {
+        console.log(`Nobody left in ${suspended.channel.name}, not rejoining`);
+        return;
+      }
+
+      // Retrying won't help until the next billing period
+      if (!this.sessionManager.canRecord(suspended.guild.id)) {
+        console.log(`💸 ${suspended.guild.name} is over its monthly transcription quota, not rejoining ${suspended.channel.name}`);
+        await this.endSuspendedSession(channelId);
+        return;
+      }
+
+      try {
+        await this.joinChannel(suspended.channel, suspended.guild);
+        return;
+      } catch (error) {
+        console.warn(`⚠️  Rejoining ${suspended.channel.name} failed: ${error.message}`);
+        const stale = getVoiceConnection(suspended.guild.id);
+        if (stale) stale.destroy();
+        await new Promise(resolve => setTimeout(resolve, this.reconnectRetryMs));
+      }
+    }
+  }
+
+  // The grace period ran out (or the bot was told to leave): end the session where the
+  // connection was lost and send its report
+  async endSuspendedSession(channelId) {
+    const suspended = this.suspended.get(channelId);
+    if (!suspended) return;
+
+    clearTimeout(suspended.timer);
+    this.suspended.delete(channelId);
+    console.log(`⌛ Ending session ${suspended.sessionId}: the bot didn't get back into ${suspended.channel.name}`);
+
+    await this.sessionManager.endSession(channelId);
+
+    this.emit('sessionEnded', {
+      sessionId: suspended.sessionId,
+      channel: suspended.channel,
+      guild: suspended.guild
+    });
+
+    return suspended.sessionId;
+  }
+
   setupAudioReceiver(connection, channel, sessionId) {
     const receiver = connection.receiver;
 
-    // Listen for users speaking
+    // Listen for users speaking. Every speaking burst becomes its own segment.
     receiver.speaking.on('start', (userId) => {
+      // Never capture a user who hasn't consented, even before their recording is stopped
+      if (!this.sessionManager.consentService.canRecord(channel.guild.id, userId)) {
+        return;
+      }
+
+      // Check if we're already recording this user
+      if (!this.audioRecorder.isRecording(sessionId, userId)) {
+        // console.log(`🎤 User ${userId} started speaking (no active recording)`);
+        return;
+      }
+
+      // The burst is still being captured by an open subscription
+      if (receiver.subscriptions.has(userId)) {
+        return;
+      }
+
       // Create audio stream for this user
       const opusStream = receiver.subscribe(userId, {
         end: {
@@ -103,32 +248,10 @@ class VoiceConnectionHandler extends EventEmitter {
         }
       });
 
-      // Check if we're already recording this user
-      if (!this.audioRecorder.isRecording(userId)) {
-        // console.log(`🎤 User ${userId} started speaking (no active recording)`);
-        return;
-      }
-
-      try {
-        // Decode Opus to PCM
-        const decoder = new prism.opus.Decoder({ rate: 48000, channels: 2, frameSize: 960 });
-        const pcmStream = opusStream.pipe(decoder);
-
-        // Handle PCM data
-        pcmStream.on('data', (chunk) => {
-          this.audioRecorder.handleAudioData(userId, chunk);
-        });
-
-        pcmStream.on('error', (error) => {
-          console.error(`Audio decode error for user ${userId}:`, error);
-        });
-
-        opusStream.on('error', (error) => {
-          console.error(`Opus stream error for user ${userId}:`, error);
-        });
-      } catch (error) {
-        console.error(`Error setting up decoder for ${userId}:`, error);
-      }
+      // Stream the burst to disk; the segment closes when the silence timeout ends the stream
+      this.audioRecorder.recordSegment(sessionId, userId, opusStream).catch(error => {
+        console.error(`Error recording segment for user ${userId}:`, error);
+      });
     });
 
     this.receivers.set(channel.id, receiver);
@@ -137,6 +260,9 @@ class VoiceConnectionHandler extends EventEmitter {
   async leaveChannel(channelId) {
     const connectionData = this.connections.get(channelId);
     if (!connectionData) {
+      if (this.suspended.has(channelId)) {
+        return this.endSuspendedSession(channelId);
+      }
       console.log('No active connection found for channel');
       return;
     }
@@ -224,6 +350,15 @@ class VoiceConnectionHandler extends EventEmitter {
   getAllConnections() {
     return Array.from(this.connections.values());
   }
+
+  isSuspended(channelId) {
+    return this.suspended.has(channelId);
+  }
+
+  // Channels whose session is waiting for the bot to reconnect
+  getSuspendedChannels() {
+    return Array.from(this.suspended.values()).map(suspended => suspended.channel);
+  }
 }
 
 module.exports = VoiceConnectionHandler;
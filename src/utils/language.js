@@ -0,0 +1,30 @@
+// Helpers for ISO 639 language codes as reported by providers and typed by users. Regions are
+// dropped: detection and translation work per language, so 'pt-BR' and 'pt-PT' are both 'pt'.
+
+// 'en-US', 'EN', 'en_gb' -> 'en'; anything that isn't a code -> null
+function normalizeLanguage(language) {
+  if (!language || typeof language !== 'string') return null;
+  const code = language.trim().toLowerCase().split(/[-_]/)[0];
+  return /^[a-z]{2,3}$/.test(code) ? code : null;
+}
+
+// 'es' -> 'Spanish'; falls back to the code itself
+function languageName(code) {
+  try {
+    return new Intl.DisplayNames(['en'], { type: 'language' }).of(code) || code;
+  } catch (error) {
+    return code;
+  }
+}
+
+// A code Intl recognises as a language, rather than just two letters
+function isKnownLanguage(code) {
+  const normalized = normalizeLanguage(code);
+  return Boolean(normalized) && languageName(normalized) !== normalized;
+}
+
+module.exports = {
+  normalizeLanguage,
+  languageName,
+  isKnownLanguage
+};
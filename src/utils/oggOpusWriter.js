@@ -0,0 +1,141 @@
+const { Transform } = require('stream');
+
+// Wraps raw Opus packets (as received from Discord) into an Ogg Opus file (RFC 7845)
+// without decoding or re-encoding them.
+
+const CRC_TABLE = new Uint32Array(256);
+for (let i = 0; i < 256; i++) {
+  let r = i << 24;
+  for (let j = 0; j < 8; j++) {
+    r = (r & 0x80000000) ? ((r << 1) ^ 0x04c11db7) : (r << 1);
+  }
+  CRC_TABLE[i] = r >>> 0;
+}
+
+function oggCrc(buffer) {
+  let crc = 0;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = ((crc << 8) ^ CRC_TABLE[((crc >>> 24) & 0xff) ^ buffer[i]]) >>> 0;
+  }
+  return crc;
+}
+
+// Number of 48kHz samples in an Opus packet, read from its TOC byte
+function opusPacketSamples(packet) {
+  if (packet.length === 0) return 0;
+
+  const config = packet[0] >> 3;
+  let frameSize;
+  if (config < 12) {
+    frameSize = [480, 960, 1920, 2880][config & 3]; // SILK
+  } else if (config < 16) {
+    frameSize = [480, 960][config & 1]; // Hybrid
+  } else {
+    frameSize = [120, 240, 480, 960][config & 3]; // CELT
+  }
+
+  const code = packet[0] & 3;
+  let frames = 1;
+  if (code === 1 || code === 2) frames = 2;
+  if (code === 3) frames = packet.length > 1 ? packet[1] & 0x3f : 0;
+
+  return frameSize * frames;
+}
+
+class OggOpusWriter extends Transform {
+  constructor({ channels = 2, sampleRate = 48000, packetsPerPage = 50 } = {}) {
+    super({ writableObjectMode: true });
+    this.channels = channels;
+    this.sampleRate = sampleRate;
+    this.packetsPerPage = packetsPerPage;
+    this.serial = Math.floor(Math.random() * 0xffffffff) >>> 0;
+    this.sequence = 0;
+    this.granule = 0;
+    this.packets = [];
+    this.lacingCount = 0;
+    this.headersWritten = false;
+  }
+
+  _transform(packet, encoding, callback) {
+    if (!this.headersWritten) {
+      this.writeHeaders();
+    }
+
+    const lacing = Math.floor(packet.length / 255) + 1;
+    if (this.packets.length >= this.packetsPerPage || this.lacingCount + lacing > 255) {
+      this.flushPage();
+    }
+
+    this.packets.push(packet);
+    this.lacingCount += lacing;
+    this.granule += opusPacketSamples(packet);
+    callback();
+  }
+
+  _flush(callback) {
+    if (!this.headersWritten) {
+      this.writeHeaders();
+    }
+    this.flushPage(true);
+    callback();
+  }
+
+  writeHeaders() {
+    const head = Buffer.alloc(19);
+    head.write('OpusHead', 0, 'ascii');
+    head.writeUInt8(1, 8); // version
+    head.writeUInt8(this.channels, 9);
+    head.writeUInt16LE(0, 10); // pre-skip
+    head.writeUInt32LE(this.sampleRate, 12);
+    head.writeInt16LE(0, 16); // output gain
+    head.writeUInt8(0, 18); // channel mapping family
+
+    const vendor = Buffer.from('discord-voice-transcription-bot', 'utf8');
+    const tags = Buffer.alloc(8 + 4 + vendor.length + 4);
+    tags.write('OpusTags', 0, 'ascii');
+    tags.writeUInt32LE(vendor.length, 8);
+    vendor.copy(tags, 12);
+    tags.writeUInt32LE(0, 12 + vendor.length); // no user comments
+
+    this.push(this.buildPage([head], 0, 0x02));
+    this.push(this.buildPage([tags], 0, 0x00));
+    this.headersWritten = true;
+  }
+
+  flushPage(last = false) {
+    if (this.packets.length === 0 && !last) return;
+
+    this.push(this.buildPage(this.packets, this.granule, last ? 0x04 : 0x00));
+    this.packets = [];
+    this.lacingCount = 0;
+  }
+
+  buildPage(packets, granule, headerType) {
+    const lacing = [];
+    for (const packet of packets) {
+      let remaining = packet.length;
+      while (remaining >= 255) {
+        lacing.push(255);
+        remaining -= 255;
+      }
+      lacing.push(remaining);
+    }
+
+    const header = Buffer.alloc(27 + lacing.length);
+    header.write('OggS', 0, 'ascii');
+    header.writeUInt8(0, 4); // stream structure version
+    header.writeUInt8(headerType, 5);
+    header.writeBigUInt64LE(BigInt(granule), 6);
+    header.writeUInt32LE(this.serial, 14);
+    header.writeUInt32LE(this.sequence++, 18);
+    header.writeUInt32LE(0, 22); // CRC, filled in below
+    header.writeUInt8(lacing.length, 26);
+    Buffer.from(lacing).copy(header, 27);
+
+    const page = Buffer.concat([header, ...packets]);
+    page.writeUInt32LE(oggCrc(page), 22);
+    return page;
+  }
+}
+
+module.exports = OggOpusWriter;
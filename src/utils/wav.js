@@ -0,0 +1,106 @@
+const fs = require('fs');
+
+// Minimal helpers for 16-bit PCM WAV files (the format ffmpeg produces for transcription)
+
+function readWavInfo(wavPath) {
+  const fd = fs.openSync(wavPath, 'r');
+
+  try {
+    const riff = Buffer.alloc(12);
+    fs.readSync(fd, riff, 0, 12, 0);
+    if (riff.toString('ascii', 0, 4) !== 'RIFF' || riff.toString('ascii', 8, 12) !== 'WAVE') {
+      throw new Error(`Not a WAV file: ${wavPath}`);
+    }
+
+    const fileSize = fs.fstatSync(fd).size;
+    const info = {};
+    let position = 12;
+    const chunkHeader = Buffer.alloc(8);
+
+    // Walk the chunk list until both the format and data chunks are found
+    while (position + 8 <= fileSize) {
+      fs.readSync(fd, chunkHeader, 0, 8, position);
+      const id = chunkHeader.toString('ascii', 0, 4);
+      const size = chunkHeader.readUInt32LE(4);
+
+      if (id === 'fmt ') {
+        const fmt = Buffer.alloc(16);
+        fs.readSync(fd, fmt, 0, 16, position + 8);
+        info.channels = fmt.readUInt16LE(2);
+        info.sampleRate = fmt.readUInt32LE(4);
+        info.byteRate = fmt.readUInt32LE(8);
+        info.blockAlign = fmt.readUInt16LE(12);
+        info.bitsPerSample = fmt.readUInt16LE(14);
+      } else if (id === 'data') {
+        info.dataOffset = position + 8;
+        // Streaming writers may leave the size unset; trust the file length instead
+        info.dataSize = Math.min(size, fileSize - info.dataOffset);
+        break;
+      }
+
+      position += 8 + size + (size % 2);
+    }
+
+    if (!info.byteRate || info.dataOffset === undefined) {
+      throw new Error(`Incomplete WAV header: ${wavPath}`);
+    }
+
+    info.duration = info.dataSize / info.byteRate;
+    return info;
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+function createWavHeader({ sampleRate, channels, bitsPerSample = 16 }, dataSize) {
+  const blockAlign = channels * (bitsPerSample / 8);
+  const header = Buffer.alloc(44);
+
+  header.write('RIFF', 0, 'ascii');
+  header.writeUInt32LE(36 + dataSize, 4);
+  header.write('WAVE', 8, 'ascii');
+  header.write('fmt ', 12, 'ascii');
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20); // PCM
+  header.writeUInt16LE(channels, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * blockAlign, 28);
+  header.writeUInt16LE(blockAlign, 32);
+  header.writeUInt16LE(bitsPerSample, 34);
+  header.write('data', 36, 'ascii');
+  header.writeUInt32LE(dataSize, 40);
+
+  return header;
+}
+
+// Copy the audio between two times (in seconds) of a WAV file into a new WAV file
+function writeWavSlice(sourcePath, destPath, info, start, end) {
+  const startByte = Math.max(0, Math.floor(start * info.sampleRate)) * info.blockAlign;
+  const endByte = Math.min(info.dataSize, Math.ceil(end * info.sampleRate) * info.blockAlign);
+  const dataSize = Math.max(0, endByte - startByte);
+
+  return new Promise((resolve, reject) => {
+    const output = fs.createWriteStream(destPath);
+    output.on('error', reject);
+    output.on('finish', () => resolve({ start: startByte / info.byteRate, duration: dataSize / info.byteRate }));
+    output.write(createWavHeader(info, dataSize));
+
+    if (dataSize === 0) {
+      output.end();
+      return;
+    }
+
+    const input = fs.createReadStream(sourcePath, {
+      start: info.dataOffset + startByte,
+      end: info.dataOffset + endByte - 1
+    });
+    input.on('error', reject);
+    input.pipe(output);
+  });
+}
+
+module.exports = {
+  readWavInfo,
+  createWavHeader,
+  writeWavSlice
+};
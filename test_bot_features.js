@@ -14,6 +14,12 @@ const TranscriptionService = require('./src/services/transcriptionService');
 const AnalyticsEngine = require('./src/services/analyticsEngine');
 const ReportGenerator = require('./src/services/reportGenerator');
 const SessionManager = require('./src/services/sessionManager');
+const TranscriptionQueue = require('./src/services/transcriptionQueue');
+const TranscriptionCache = require('./src/services/transcriptionCache');
+const VoiceActivityDetector = require('./src/services/voiceActivityDetector');
+const TranscriptFilter = require('./src/services/transcriptFilter');
+const { createWavHeader } = require('./src/utils/wav');
+const { getDefaultProviderName, getMissingConfig } = require('./src/services/transcriptionProviders');
 
 class BotTester {
   constructor() {
@@ -191,12 +197,14 @@ class BotTester {
     console.log('\n📝 Testing Transcription Service...\n');
 
     try {
-      // Check if API key is configured
-      if (!process.env.GOOGLE_API_KEY) {
-        this.log('Transcription-Config', 'FAIL', 'Google API key not configured');
+      // Check the default provider has what it needs
+      const provider = getDefaultProviderName();
+      const missing = getMissingConfig(provider);
+      if (missing.length > 0) {
+        this.log('Transcription-Config', 'FAIL', `${provider} provider is missing ${missing.join(', ')}`);
         return false;
       }
-      this.log('Transcription-Config', 'PASS', 'Google API key configured');
+      this.log('Transcription-Config', 'PASS', `${provider} provider configured`);
 
       // Test with a sample audio file if available
       const fs = require('fs');
@@ -337,12 +345,464 @@ class BotTester {
     }
   }
 
+  async testConcurrentSessions() {
+    console.log('\n🔀 Testing Concurrent Sessions...\n');
+
+    try {
+      // Two channels in different guilds recording at the same time
+      const guildA = { id: 'guild-a-' + Date.now(), name: 'Guild A' };
+      const guildB = { id: 'guild-b-' + Date.now(), name: 'Guild B' };
+      const channelA = { id: 'channel-a-' + Date.now(), name: 'Channel A' };
+      const channelB = { id: 'channel-b-' + Date.now(), name: 'Channel B' };
+
+      const sessionA = this.sessionManager.createSession(channelA, guildA);
+      const sessionB = this.sessionManager.createSession(channelB, guildB);
+      this.sessionManager.addParticipant(sessionA, { id: 'user-a', username: 'UserA', bot: false }, channelA.id);
+      this.sessionManager.addParticipant(sessionB, { id: 'user-b', username: 'UserB', bot: false }, channelB.id);
+      // The same user id in both sessions must not share a recording
+      this.sessionManager.addParticipant(sessionA, { id: 'user-both', username: 'UserBoth', bot: false }, channelA.id);
+      this.sessionManager.addParticipant(sessionB, { id: 'user-both', username: 'UserBoth', bot: false }, channelB.id);
+
+      const recordingA = this.audioRecorder.getRecording(sessionA, 'user-both');
+      const recordingB = this.audioRecorder.getRecording(sessionB, 'user-both');
+      if (recordingA && recordingB && recordingA !== recordingB) {
+        this.log('Concurrent-Recordings', 'PASS', 'Each session has its own recording for the same user');
+      } else {
+        this.log('Concurrent-Recordings', 'FAIL', 'Sessions share or lost a recording');
+      }
+
+      // An utterance in progress in session B while session A ends
+      const segment = this.audioRecorder.startSegment(sessionB, 'user-b');
+
+      await this.sessionManager.endSession(channelA.id);
+
+      if (this.audioRecorder.getActiveRecordings(sessionA).length === 0) {
+        this.log('Concurrent-EndStopsOwn', 'PASS', 'Ending session A stopped its recordings');
+      } else {
+        this.log('Concurrent-EndStopsOwn', 'FAIL', 'Session A still has recordings after ending');
+      }
+
+      const stillRecording = ['user-b', 'user-both'].every(userId => this.audioRecorder.isRecording(sessionB, userId));
+      const segmentOpen = this.audioRecorder.getRecording(sessionB, 'user-b').currentSegment === segment;
+      if (stillRecording && segmentOpen && this.sessionManager.hasActiveSession(channelB.id)) {
+        this.log('Concurrent-OtherUntouched', 'PASS', 'Session B kept recording while session A ended');
+      } else {
+        this.log('Concurrent-OtherUntouched', 'FAIL', 'Ending session A stopped recordings in session B');
+      }
+
+      await this.sessionManager.endSession(channelB.id);
+
+      const participantsB = this.db.getParticipants(sessionB);
+      if (this.audioRecorder.getActiveRecordings().length === 0 && participantsB.every(p => p.left_at !== null)) {
+        this.log('Concurrent-EndBoth', 'PASS', 'Both sessions ended with their participants closed');
+      } else {
+        this.log('Concurrent-EndBoth', 'FAIL', 'Recordings or participants left open after both sessions ended');
+      }
+
+      return true;
+    } catch (error) {
+      this.log('ConcurrentSessions', 'FAIL', error.message);
+      return false;
+    }
+  }
+
+  // Two joins of a channel whose connection was lost (the reconnect loop and auto-join) must
+  // carry on with the one suspended session. The voice library is swapped for a fake
+  // connection that takes a moment to become ready.
+  async testConcurrentRejoin() {
+    console.log('\n🔁 Testing Concurrent Rejoin...\n');
+
+    const { EventEmitter } = require('events');
+    const { Collection } = require('discord.js');
+    const voicePath = require.resolve('@discordjs/voice');
+    const handlerPath = require.resolve('./src/services/voiceConnectionHandler');
+    const realVoice = require('@discordjs/voice');
+    const voiceModule = require.cache[voicePath];
+    let connects = 0;
+
+    voiceModule.exports = {
+      ...realVoice,
+      joinVoiceChannel: () => {
+        connects++;
+        const connection = new EventEmitter();
+        connection.receiver = { speaking: new EventEmitter(), subscriptions: new Map() };
+        connection.destroy = () => {};
+        return connection;
+      },
+      entersState: () => new Promise(resolve => setTimeout(resolve, 50))
+    };
+    delete require.cache[handlerPath];
+
+    try {
+      const VoiceConnectionHandler = require('./src/services/voiceConnectionHandler');
+      const handler = new VoiceConnectionHandler(this.sessionManager, this.audioRecorder);
+
+      const guild = { id: 'rejoin-guild-' + Date.now(), name: 'Rejoin Guild' };
+      const user = { id: 'rejoin-user', username: 'RejoinUser', bot: false };
+      const channel = {
+        id: 'rejoin-channel-' + Date.now(),
+        name: 'Rejoin Channel',
+        guild,
+        members: new Collection([[user.id, { id: user.id, user }]])
+      };
+
+      const sessionId = this.sessionManager.createSession(channel, guild);
+      this.sessionManager.addParticipant(sessionId, user, channel.id);
+      await this.sessionManager.suspendSession(channel.id);
+      handler.suspended.set(channel.id, { sessionId, channel, guild, timer: null });
+
+      await Promise.all([handler.joinChannel(channel, guild), handler.joinChannel(channel, guild)]);
+
+      const active = this.sessionManager.getActiveSession(channel.id);
+      const open = this.db.getActiveSessions().filter(session => session.channel_id === channel.id);
+      if (connects === 1 && active.session_id === sessionId && !active.suspendedAt && open.length === 1) {
+        this.log('Rejoin-Concurrent', 'PASS', 'Both joins resumed the one suspended session');
+      } else {
+        this.log('Rejoin-Concurrent', 'FAIL', `${connects} connection(s), ${open.length} open session(s) for the channel`);
+      }
+
+      await handler.leaveChannel(channel.id);
+      return true;
+    } catch (error) {
+      this.log('ConcurrentRejoin', 'FAIL', error.message);
+      return false;
+    } finally {
+      voiceModule.exports = realVoice;
+      delete require.cache[handlerPath];
+    }
+  }
+
+  // Speech-like audio with no silence in it, the way Discord delivers an utterance: a voice
+  // whose loudness rises and falls with each syllable, dipping to quiet speech in between
+  writeSpeechOnlyFixture(filePath, seconds = 3, sampleRate = 16000) {
+    const fs = require('fs');
+    const samples = Math.floor(seconds * sampleRate);
+    const data = Buffer.alloc(samples * 2);
+
+    for (let i = 0; i < samples; i++) {
+      const t = i / sampleRate;
+      const syllable = 0.5 - 0.5 * Math.cos(2 * Math.PI * 4 * t); // four syllables a second
+      const amplitude = 0.02 + 0.28 * syllable; // about -34 to -10 dBFS
+      const voice = Math.sin(2 * Math.PI * 150 * t) * 0.6 + Math.sin(2 * Math.PI * 300 * t) * 0.3 + Math.sin(2 * Math.PI * 450 * t) * 0.1;
+      data.writeInt16LE(Math.round(voice * amplitude * 32767), i * 2);
+    }
+
+    fs.writeFileSync(filePath, Buffer.concat([createWavHeader({ sampleRate, channels: 1 }, data.length), data]));
+  }
+
+  async testVoiceActivityDetection() {
+    console.log('\n🔇 Testing Voice Activity Detection...\n');
+
+    const fs = require('fs');
+    const os = require('os');
+    const fixturePath = path.join(os.tmpdir(), `vad-speech-only-${Date.now()}.wav`);
+
+    try {
+      this.writeSpeechOnlyFixture(fixturePath);
+      const vad = new VoiceActivityDetector();
+      const analysis = await vad.analyze(fixturePath);
+
+      // Quiet stretches of speech aren't noise; without a silent tail the threshold stays put
+      if (analysis.threshold === vad.thresholdDb && analysis.voicedDuration >= analysis.duration * 0.9) {
+        this.log('VAD-SpeechOnly', 'PASS', `${analysis.voicedDuration.toFixed(2)}s of ${analysis.duration.toFixed(2)}s counted as voiced`);
+      } else {
+        this.log('VAD-SpeechOnly', 'FAIL', `Only ${analysis.voicedDuration.toFixed(2)}s of ${analysis.duration.toFixed(2)}s voiced (threshold ${analysis.threshold.toFixed(1)} dB)`);
+      }
+
+      // About four words a second is ordinary speech and must not be quarantined as too fast
+      const filter = new TranscriptFilter();
+      const text = 'so I think we should ship the release on friday after the review';
+      const transcription = { text, language: 'en', segments: [{ start: 0, end: analysis.duration, text, confidence: 0.9, no_speech_prob: 0.01 }] };
+      const verdict = filter.check(transcription, { voicedDuration: analysis.voicedDuration, duration: analysis.duration, label: 'speech-only fixture' });
+      if (verdict.utteranceReasons.length === 0) {
+        this.log('Filter-SpeechOnlyRate', 'PASS', 'Normal-rate speech passed the rate check');
+      } else {
+        this.log('Filter-SpeechOnlyRate', 'FAIL', verdict.utteranceReasons.join('; '));
+      }
+
+      // When the VAD finds far less speech than the clip holds, the rate uses the clip length
+      const underCounted = filter.check(transcription, { voicedDuration: analysis.duration * 0.2, duration: analysis.duration, label: 'under-counted fixture' });
+      if (underCounted.utteranceReasons.length === 0) {
+        this.log('Filter-RateFallback', 'PASS', 'Rate check fell back to the clip length');
+      } else {
+        this.log('Filter-RateFallback', 'FAIL', underCounted.utteranceReasons.join('; '));
+      }
+
+      return true;
+    } catch (error) {
+      this.log('VoiceActivityDetection', 'FAIL', error.message);
+      return false;
+    } finally {
+      fs.rmSync(fixturePath, { force: true });
+    }
+  }
+
+  // A transcription service on the deterministic mock provider. The provider reads
+  // MOCK_TRANSCRIPT_TEXT and MOCK_TRANSCRIPT_FAIL when it is created, so it is created here.
+  createMockService({ text = '', fail = '' } = {}, cache = null) {
+    process.env.MOCK_TRANSCRIPT_TEXT = text;
+    process.env.MOCK_TRANSCRIPT_FAIL = fail;
+    const service = new TranscriptionService(null, cache);
+    service.getProvider('mock');
+    delete process.env.MOCK_TRANSCRIPT_TEXT;
+    delete process.env.MOCK_TRANSCRIPT_FAIL;
+    return service;
+  }
+
+  createTestSession(prefix) {
+    const session = {
+      session_id: `${prefix}-session-${Date.now()}`,
+      guild_id: `${prefix}-guild-${Date.now()}`,
+      guild_name: `${prefix} guild`,
+      channel_id: `${prefix}-channel`,
+      channel_name: `${prefix} channel`,
+      start_time: Math.floor(Date.now() / 1000),
+      participant_count: 0
+    };
+    this.db.createSession(session);
+    return session;
+  }
+
+  async waitFor(condition, timeoutMs = 5000) {
+    const deadline = Date.now() + timeoutMs;
+    while (!condition()) {
+      if (Date.now() > deadline) throw new Error('Timed out waiting for the test condition');
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+  }
+
+  async testTranscriptionQueue() {
+    console.log('\n🗂️  Testing Transcription Queue (mock provider)...\n');
+
+    const fs = require('fs');
+    const os = require('os');
+    const audioPath = path.join(os.tmpdir(), `queue-${Date.now()}.wav`);
+
+    try {
+      this.writeSpeechOnlyFixture(audioPath);
+      const session = this.createTestSession('queue');
+
+      let service = this.createMockService({ fail: 'transient' });
+      let transcribed = 0;
+      const queue = new TranscriptionQueue(this.db, async segment => {
+        await service.transcribeAudio(segment.audioPath, { provider: 'mock' });
+        transcribed++;
+      });
+      queue.maxAttempts = 2;
+      queue.retryBaseMs = 10;
+
+      queue.enqueue({ index: 1, sessionId: session.session_id, userId: 'queue-user', username: 'QueueUser', audioPath });
+      await this.waitFor(() => queue.active.size === 0);
+
+      let counts = this.db.getTranscriptionJobCounts(session.session_id);
+      if (counts.failed === 1) {
+        this.log('Queue-TransientRetry', 'PASS', 'Transient failure scheduled for a retry');
+      } else {
+        this.log('Queue-TransientRetry', 'FAIL', `Expected one job awaiting retry, got ${JSON.stringify(counts)}`);
+      }
+
+      // The retry fails too and uses up the attempts; retry times are whole seconds
+      await new Promise(resolve => setTimeout(resolve, 1100));
+      queue.pump();
+      await this.waitFor(() => queue.active.size === 0);
+
+      const dead = this.db.getDeadTranscriptionJobs(session.guild_id);
+      if (dead.length === 1 && dead[0].attempts === 2 && /transient/.test(dead[0].last_error)) {
+        this.log('Queue-DeadLetter', 'PASS', `Dead-lettered after ${dead[0].attempts} attempts: ${dead[0].last_error}`);
+      } else {
+        this.log('Queue-DeadLetter', 'FAIL', `Expected one dead job after 2 attempts, got ${dead.length}`);
+      }
+
+      // Requeued by its own guild only, then transcribed once the provider works again
+      const otherGuild = queue.retryDead('other-guild');
+      service = this.createMockService();
+      const retried = queue.retryDead(session.guild_id);
+      await this.waitFor(() => queue.active.size === 0);
+
+      counts = this.db.getTranscriptionJobCounts(session.session_id);
+      if (otherGuild === 0 && retried === 1 && counts.done === 1 && transcribed === 1) {
+        this.log('Queue-RetryDead', 'PASS', 'Dead job requeued by its guild and transcribed');
+      } else {
+        this.log('Queue-RetryDead', 'FAIL', `Retry went wrong: other guild ${otherGuild}, retried ${retried}, counts ${JSON.stringify(counts)}`);
+      }
+
+      return true;
+    } catch (error) {
+      this.log('TranscriptionQueue', 'FAIL', error.message);
+      return false;
+    } finally {
+      fs.rmSync(audioPath, { force: true });
+    }
+  }
+
+  async testTranscriptFilterVerdicts() {
+    console.log('\n🚩 Testing Transcript Filter Verdicts (mock provider)...\n');
+
+    const fs = require('fs');
+    const os = require('os');
+    const audioPath = path.join(os.tmpdir(), `filter-${Date.now()}.wav`);
+
+    try {
+      this.writeSpeechOnlyFixture(audioPath);
+      const filter = new TranscriptFilter();
+
+      // [test, mock text, options, expected verdict]
+      const cases = [
+        ['Filter-Accepted', 'Let us go over the plan for the release today.', {}, 'accepted'],
+        ['Filter-Commentary', 'There is no speech in this audio.', {}, 'segment'],
+        ['Filter-Loop', 'no no no no no no no', {}, 'segment'],
+        ['Filter-Rate', 'one two three four five six seven eight nine ten eleven twelve thirteen fourteen fifteen sixteen seventeen eighteen nineteen twenty twenty-one twenty-two twenty-three twenty-four twenty-five', {}, 'utterance'],
+        ['Filter-Language', 'Let us go over the plan for the release today.', { expectedLanguage: 'de' }, 'utterance']
+      ];
+
+      for (const [test, text, options, expected] of cases) {
+        const transcription = await this.createMockService({ text }).transcribeAudio(audioPath, { provider: 'mock' });
+        const verdict = filter.check(transcription, {
+          voicedDuration: transcription.duration,
+          duration: transcription.duration,
+          label: test,
+          ...options
+        });
+        const actual = verdict.utteranceReasons.length > 0 ? 'utterance'
+          : verdict.quarantined.length > 0 ? 'segment'
+            : 'accepted';
+        const reasons = [...verdict.utteranceReasons, ...verdict.quarantined.flatMap(q => q.reasons)].join('; ');
+
+        if (actual === expected) {
+          this.log(test, 'PASS', expected === 'accepted' ? 'Accepted' : `Quarantined (${expected}): ${reasons}`);
+        } else {
+          this.log(test, 'FAIL', `Expected ${expected}, got ${actual}${reasons ? `: ${reasons}` : ''}`);
+        }
+      }
+
+      return true;
+    } catch (error) {
+      this.log('TranscriptFilterVerdicts', 'FAIL', error.message);
+      return false;
+    } finally {
+      fs.rmSync(audioPath, { force: true });
+    }
+  }
+
+  async testRedactionModes() {
+    console.log('\n🛡️  Testing Redaction Modes (mock provider)...\n');
+
+    const fs = require('fs');
+    const os = require('os');
+    const audioPath = path.join(os.tmpdir(), `redaction-${Date.now()}.wav`);
+
+    try {
+      this.writeSpeechOnlyFixture(audioPath);
+      const session = this.createTestSession('redaction');
+      const text = 'Mail john.smith@example.com or call 555-123-4567 today';
+      const transcription = await this.createMockService({ text }).transcribeAudio(audioPath, { provider: 'mock' });
+
+      this.db.setGuildSetting(session.guild_id, 'redaction_categories', 'email,phone');
+      const expectations = {
+        tag: ['[EMAIL]', '[PHONE]'],
+        mask: ['Mail ████', 'call ████'],
+        partial: ['j***@example.com', '***-***-4567']
+      };
+
+      for (const [mode, expected] of Object.entries(expectations)) {
+        this.db.setGuildSetting(session.guild_id, 'redaction_mode', mode);
+        const redacted = this.sessionManager.redactTranscript(session.session_id, transcription.text, transcription.segments);
+        const texts = [redacted.text, ...redacted.segments.map(segment => segment.text)];
+
+        const redactedEverywhere = texts.every(t => expected.every(part => t.includes(part)) && !t.includes('john.smith') && !t.includes('555-123'));
+        if (redactedEverywhere && redacted.unredacted === null) {
+          this.log(`Redaction-${mode}`, 'PASS', redacted.text);
+        } else {
+          this.log(`Redaction-${mode}`, 'FAIL', `Unexpected redaction: ${redacted.text}`);
+        }
+      }
+
+      // The original is only kept when the guild asks for it
+      this.db.setGuildSetting(session.guild_id, 'redaction_keep_original', 'true');
+      const kept = this.sessionManager.redactTranscript(session.session_id, transcription.text, transcription.segments);
+      if (kept.unredacted === text) {
+        this.log('Redaction-KeepOriginal', 'PASS', 'Unredacted text kept when the guild asks for it');
+      } else {
+        this.log('Redaction-KeepOriginal', 'FAIL', 'Unredacted text not kept');
+      }
+
+      return true;
+    } catch (error) {
+      this.log('RedactionModes', 'FAIL', error.message);
+      return false;
+    } finally {
+      fs.rmSync(audioPath, { force: true });
+    }
+  }
+
+  async testTranscriptionCache() {
+    console.log('\n♻️  Testing Transcription Cache (mock provider)...\n');
+
+    const fs = require('fs');
+    const os = require('os');
+    const audioPath = path.join(os.tmpdir(), `cache-${Date.now()}.wav`);
+
+    try {
+      // Audio no earlier run has cached
+      this.writeSpeechOnlyFixture(audioPath);
+      const audio = fs.readFileSync(audioPath);
+      audio.writeInt16LE(Date.now() % 32768, audio.length - 2);
+      fs.writeFileSync(audioPath, audio);
+
+      const guildId = `cache-guild-${Date.now()}`;
+      const cache = new TranscriptionCache(this.db);
+      const service = this.createMockService({ text: 'Words worth caching.' }, cache);
+      const transcribe = (options = {}) => service.transcribeAudio(audioPath, { provider: 'mock', guildId, ...options });
+
+      const first = await transcribe();
+      const second = await transcribe();
+      if (!first.cached && first.requests === 1 && second.cached && second.requests === 0 && second.text === first.text) {
+        this.log('Cache-Hit', 'PASS', 'Second transcription of the same audio came from the cache');
+      } else {
+        this.log('Cache-Hit', 'FAIL', `Expected a miss then a hit, got ${Boolean(first.cached)} then ${Boolean(second.cached)}`);
+      }
+
+      const bypassed = await transcribe({ bypassCache: true });
+      if (!bypassed.cached && bypassed.requests === 1) {
+        this.log('Cache-Bypass', 'PASS', 'bypassCache sent the audio again');
+      } else {
+        this.log('Cache-Bypass', 'FAIL', 'bypassCache still used the cache');
+      }
+
+      // Results a guild mustn't keep (unredacted text) are never stored
+      await transcribe({ languageHint: 'fr', cacheResult: false });
+      const unstored = await transcribe({ languageHint: 'fr' });
+      if (!unstored.cached) {
+        this.log('Cache-NotStored', 'PASS', 'Result marked not to cache was not stored');
+      } else {
+        this.log('Cache-NotStored', 'FAIL', 'Result marked not to cache was stored');
+      }
+
+      // As after the guild changes its redaction rules
+      const purged = cache.purgeGuild(guildId);
+      const again = await transcribe();
+      cache.purgeGuild(guildId);
+      if (purged >= 1 && !again.cached) {
+        this.log('Cache-PurgeGuild', 'PASS', `Purged ${purged} entr${purged === 1 ? 'y' : 'ies'} for the guild`);
+      } else {
+        this.log('Cache-PurgeGuild', 'FAIL', 'Guild entries survived the purge');
+      }
+
+      return true;
+    } catch (error) {
+      this.log('TranscriptionCache', 'FAIL', error.message);
+      return false;
+    } finally {
+      fs.rmSync(audioPath, { force: true });
+    }
+  }
+
   async testConfiguration() {
     console.log('\n⚙️  Testing Configuration...\n');
 
     try {
-      const requiredVars = ['DISCORD_TOKEN', 'GOOGLE_API_KEY'];
-      const optionalVars = ['COMMAND_PREFIX', 'DATABASE_PATH', 'TRANSCRIPTION_MODEL'];
+      const requiredVars = ['DISCORD_TOKEN'];
+      const optionalVars = ['COMMAND_PREFIX', 'DATABASE_PATH', 'TRANSCRIPTION_PROVIDER', 'TRANSCRIPTION_MODEL'];
 
       for (const varName of requiredVars) {
         if (process.env[varName]) {
@@ -352,6 +812,15 @@ class BotTester {
         }
       }
 
+      // Only the default provider's credentials are required; GOOGLE_API_KEY isn't needed for Whisper
+      const provider = getDefaultProviderName();
+      const missing = getMissingConfig(provider);
+      if (missing.length === 0) {
+        this.log('Config-Provider', 'PASS', `${provider} provider has its required variables`);
+      } else {
+        this.log('Config-Provider', 'FAIL', `${provider} provider is missing ${missing.join(', ')}`);
+      }
+
       for (const varName of optionalVars) {
         if (process.env[varName]) {
           this.log('Config-' + varName, 'INFO', `Set to: ${process.env[varName]}`);
@@ -411,6 +880,13 @@ class BotTester {
     await this.testAnalyticsEngine();
     await this.testReportGenerator();
     await this.testSessionManager();
+    await this.testConcurrentSessions();
+    await this.testConcurrentRejoin();
+    await this.testVoiceActivityDetection();
+    await this.testTranscriptionQueue();
+    await this.testTranscriptFilterVerdicts();
+    await this.testRedactionModes();
+    await this.testTranscriptionCache();
 
     this.printSummary();
 